@@ -1,57 +1,274 @@
 // Global variables
-let oc = null;
-let currentShape = null;
+let currentSolid = false;
+let currentProfile = null;
+let currentSections = null;
+let currentHorn = null;
+let currentMesh = null;
+let currentMeshExport = null;
+let currentMeshReport = null;
+let currentMeshRepairs = null;
+let pinnedDesigns = [];
+let sweepResults = null;
+let impedanceResults = null;
+let directivityResults = null;
+let displayUnits = 'mm';
 let scene, camera, renderer, controls;
 
-// Constants for OpenCascade library loading
-const MAX_OPENCASCADE_LOAD_RETRIES = 50;
-const OPENCASCADE_RETRY_INTERVAL_MS = 200;
+// 3D preview tools: the section view cuts away the half of the horn in front
+// of the axis, and the measure tool picks points on the mesh
+let sectionView = false;
+let sectionPlane = null;
+let previewHorn = null;
+let measureMode = false;
+let measurePoints = [];
+
+// Camera directions of the view presets, from the horn towards the camera;
+// the horn's axis is x with the mouth towards +x
+const VIEW_PRESETS = {
+    front: [1, 0, 0],
+    side: [0, 0, 1],
+    iso: [1, 0.75, 1]
+};
+
+// Room left round the horn when it is fitted to the view
+const VIEW_FIT_MARGIN = 1.15;
+
+// Colour of the wall where the section view cuts it, and of the measurement
+const SECTION_CUT_COLOR = 0xe8590c;
+const MEASURE_COLOR = 0xc92a2a;
+
+// A pointer that moves less than this many pixels between down and up is a click
+const CLICK_TOLERANCE = 5;
+
+// Keyboard shortcuts of the 3D preview, besides the arrow and +/- keys of the orbit controls
+const VIEWPORT_SHORTCUTS = {
+    '1': () => setView('front'),
+    '2': () => setView('side'),
+    '3': () => setView('iso'),
+    'f': () => fitView(),
+    's': () => toggleSectionView(),
+    'm': () => toggleMeasureMode(),
+    'Escape': () => cancelMeasurement()
+};
+
+// Worker that builds the solid, meshes and files, and the requests waiting on it
+let modelWorker = null;
+let modelRequestId = 0;
+const modelRequests = new Map();
+let currentBuild = 0;
+
+// Builds that finish sooner than this never show their progress
+const PROGRESS_DELAY_MS = 200;
+
+// Live preview: the quick mesh follows every change, the full build waits for a pause
+let autoGenerateTimer = null;
+let quickPreviewPending = false;
+const AUTO_GENERATE_DELAY_MS = 500;
+
+// Inputs that leave the horn's shape alone; they have listeners of their own
+const LIVE_PREVIEW_EXCLUDED = [
+    'meshTolerance', 'meshAngle', 'meshRepair', 'printSections', 'bedWidth', 'bedDepth', 'bedHeight',
+    'jointType', 'boltTabs', 'stationInterval', 'layerThickness', 'radiationLoad', 'units'
+];
+
+// File types of the profile drawing downloads
+const DRAWING_FORMATS = {
+    svg: 'image/svg+xml',
+    dxf: 'application/dxf',
+    csv: 'text/csv'
+};
+
+// Units shown next to input values; anything not listed is a length in the display units
+const VALUE_UNITS = {
+    targetFrequency: ' Hz',
+    airTemperature: ' °C',
+    relativeHumidity: '%',
+    segments: '',
+    flareT: '',
+    throatAngle: '°',
+    coverageAngle: '°',
+    verticalCoverageAngle: '°',
+    mouthExponent: '',
+    mouthCriterion: '',
+    meshAngle: '°',
+    rollbackAngle: '°',
+    osTermination: ''
+};
+
+// localStorage key of the user's preset library
+const PRESET_STORAGE_KEY = 'horngen.presets';
+
+// Built-in starting designs; anything not listed keeps its default
+const DESIGN_PRESETS = {
+    'tractrix-1in': {
+        name: '1" driver, 500 Hz tractrix with rolled lip',
+        parameters: { hornType: 'tractrix', targetFrequency: 500, mouthTermination: 'rollback', throatFlange: true, flangePreset: '1in', ...FLANGE_PRESETS['1in'] }
+    },
+    'os-1in': {
+        name: '1" driver, 90° OS waveguide',
+        parameters: { hornType: 'os', throatAngle: 10, coverageAngle: 90, osTermination: 0.5, hornLength: 100, throatFlange: true, flangePreset: '1in', ...FLANGE_PRESETS['1in'] }
+    },
+    'os-1.4in': {
+        name: '1.4" driver, 90° × 40° elliptical OS waveguide',
+        parameters: { hornType: 'os', mouthShape: 'elliptical', throatAngle: 10, coverageAngle: 90, verticalCoverageAngle: 40, hornLength: 120, throatFlange: true, flangePreset: '1.4in', ...FLANGE_PRESETS['1.4in'] }
+    },
+    'lecleach-2in': {
+        name: '2" driver, 300 Hz Le Cléac\'h',
+        parameters: { hornType: 'lecleach', targetFrequency: 300, flareT: 0.7, throatFlange: true, flangePreset: '2in', ...FLANGE_PRESETS['2in'] }
+    },
+    'exponential-2in': {
+        name: '2" driver, 400 Hz exponential from targets',
+        parameters: { hornType: 'exponential', targetFrequency: 400, designFromTargets: true, mouthCriterion: 1, throatFlange: true, flangePreset: '2in', ...FLANGE_PRESETS['2in'] }
+    }
+};
+
+// Gap between printed sections in the exploded preview
+const SECTION_EXPLODE = 15; // mm
+
+// Colours of the current design and of the pinned designs; one pin per colour
+const CURRENT_DESIGN_COLOR = '#667eea';
+const COMPARISON_COLORS = ['#e8590c', '#2f9e44', '#ae3ec9', '#1c7ed6', '#f08c00', '#c2255c'];
+
+// Level range of the polar plot and the spacing of its circles
+const POLAR_RANGE = 30; // dB
+const POLAR_STEP = 6; // dB
+
+// Rows of the horn information, shared by the info panel and the comparison tables
+// A unit of 'length', 'area' or 'volume' follows the display units
+const METRIC_ROWS = [
+    { id: 'flareCutoff', label: 'Flare Cutoff', unit: 'Hz', format: m => m.flareCutoff.toFixed(1) },
+    { id: 'mouthCutoff', label: 'Mouth Cutoff', unit: 'Hz', format: m => m.mouthCutoff.toFixed(1) },
+    { id: 'flareConstant', label: 'Area Flare Constant', unit: 'm⁻¹', format: m => (m.flareConstant * 1000).toFixed(3) }, // per metre
+    { id: 'hornLengthInfo', label: 'Length', unit: 'length', format: m => displayLength(m.length) },
+    { id: 'mouthSize', label: 'Mouth', unit: 'length', format: m => m.mouthWidth === m.mouthHeight
+        ? 'Ø ' + displayLength(m.mouthWidth)
+        : displayLength(m.mouthWidth) + ' × ' + displayLength(m.mouthHeight) },
+    { id: 'mouthAngle', label: 'Mouth Angle', unit: '°', format: m => m.mouthAngle.horizontal === m.mouthAngle.vertical
+        ? m.mouthAngle.horizontal.toFixed(1)
+        : 'H ' + m.mouthAngle.horizontal.toFixed(1) + ' / V ' + m.mouthAngle.vertical.toFixed(1) },
+    { id: 'airVolume', label: 'Air Volume', unit: 'volume', format: m => displayVolume(m.airVolume) },
+    { id: 'materialVolume', label: 'Material Volume', unit: 'volume', format: m => displayVolume(m.materialVolume) },
+    { id: 'surfaceArea', label: 'Inner Surface Area', unit: 'area', format: m => displayArea(m.surfaceArea) },
+    { id: 'speedOfSound', label: 'Speed of Sound', unit: 'm/s', format: m => (m.speedOfSound / 1000).toFixed(1) }
+];
+
+// Design values the parameter sweep can vary
+const SWEEP_PARAMETERS = [
+    'targetFrequency', 'throatDiameter', 'mouthDiameter', 'mouthWidth', 'mouthHeight', 'hornLength',
+    'flareT', 'throatAngle', 'coverageAngle', 'verticalCoverageAngle', 'osTermination', 'mouthExponent',
+    'mouthCriterion', 'wallThickness'
+];
 
 // Initialize the application
-async function init() {
-    const loadingElement = document.getElementById('loading');
+function init() {
+    // Initialize Three.js for preview
+    initThreeJS();
+    
+    // Setup event listeners
+    setupEventListeners();
+    
+    // OpenCascade loads in the worker while the page starts
+    startModelWorker();
+    
+    // Start from the design in the URL, if any
+    populatePresetSelect();
+    populateSweepParameters();
+    loadDesignFromHash();
+    
+    // Generate initial horn
+    generateHorn();
+}
+
+// Start the worker that builds the solid and its files
+// Without one, the requests run on the page with the pure JavaScript mesh
+function startModelWorker() {
     try {
-        // Wait for opencascadeWasm to be available
-        // opencascadeWasm() is provided by the opencascade.wasm.js library loaded via CDN
-        if (typeof opencascadeWasm === 'undefined') {
-            console.log('Waiting for OpenCascade library to load...');
-            loadingElement.textContent = 'Loading OpenCascade library...';
-            
-            // Wait for the library to load (max 10 seconds)
-            for (let i = 0; i < MAX_OPENCASCADE_LOAD_RETRIES; i++) {
-                await new Promise(resolve => setTimeout(resolve, OPENCASCADE_RETRY_INTERVAL_MS));
-                if (typeof opencascadeWasm !== 'undefined') {
-                    console.log(`OpenCascade library loaded after ${(i + 1) * OPENCASCADE_RETRY_INTERVAL_MS}ms`);
-                    break;
-                }
-                if (i === MAX_OPENCASCADE_LOAD_RETRIES - 1) {
-                    throw new Error('OpenCascade library did not load in time');
-                }
-            }
-        }
-        
-        loadingElement.textContent = 'Initializing OpenCascade...';
-        
-        // Initialize OpenCascade
-        const opencascade = await opencascadeWasm();
-        oc = opencascade;
-        console.log('OpenCascade initialized successfully');
-        
-        // Initialize Three.js for preview
-        initThreeJS();
-        
-        // Setup event listeners
-        setupEventListeners();
-        
-        // Hide loading message
-        loadingElement.style.display = 'none';
-        
-        // Generate initial horn
-        generateHorn();
+        modelWorker = new Worker('horn-worker.js');
     } catch (error) {
-        console.error('Error initializing:', error);
-        loadingElement.textContent = 'Error loading OpenCascade. Please refresh the page.';
+        console.warn('Web Workers are unavailable, building without OpenCascade:', error);
+        showModelProgress(null);
+        return;
+    }
+    
+    modelWorker.onmessage = handleWorkerMessage;
+    modelWorker.onerror = (event) => {
+        console.error('Error in the model worker:', event.message);
+        stopModelWorker(new Error('The model worker stopped'));
+        generateHorn();
+    };
+}
+
+// Give up on the worker, failing whatever is still waiting on it
+function stopModelWorker(error) {
+    modelWorker.terminate();
+    modelWorker = null;
+    modelRequests.forEach(request => request.reject(error));
+    modelRequests.clear();
+    showModelProgress(null);
+}
+
+// Pass a worker reply on to the request waiting for it
+function handleWorkerMessage(event) {
+    const { id, type } = event.data;
+    
+    if (type === 'status') {
+        showModelProgress(event.data.text);
+        return;
+    }
+    if (type === 'ready') {
+        if (!event.data.opencascade) {
+            console.warn('OpenCascade not available, using Three.js fallback');
+        }
+        showModelProgress(null);
+        return;
+    }
+    
+    const request = modelRequests.get(id);
+    if (!request) {
+        return;
+    }
+    
+    if (type === 'progress') {
+        request.onProgress(event.data.stage, event.data.fraction);
+    } else {
+        modelRequests.delete(id);
+        if (type === 'done') {
+            request.resolve(event.data.result);
+        } else {
+            request.reject(Object.assign(new Error(event.data.message), { cancelled: event.data.cancelled }));
+        }
+    }
+}
+
+// Ask the worker for one of its requests (see horn-worker.js), or run it
+// here when there is no worker
+// A build replaced by a newer one rejects with an error marked cancelled
+function requestModel(type, payload, onProgress = () => {}) {
+    const id = ++modelRequestId;
+    
+    if (!modelWorker) {
+        return runModelRequest(type, id, payload, onProgress).then(({ result }) => result, (error) => {
+            error.cancelled = error instanceof BuildCancelled;
+            throw error;
+        });
     }
+    
+    return new Promise((resolve, reject) => {
+        modelRequests.set(id, { resolve, reject, onProgress });
+        modelWorker.postMessage({ id, type, payload });
+    });
+}
+
+// Show what the worker is doing over the preview, or hide it with null
+function showModelProgress(text) {
+    const loading = document.getElementById('loading');
+    loading.textContent = text || '';
+    loading.style.display = text ? '' : 'none';
+}
+
+// Describe a stage of a worker request with how far along it is
+function progressText(stage, fraction) {
+    return `${stage}... ${Math.round(fraction * 100)}%`;
 }
 
 // Initialize Three.js scene
@@ -70,8 +287,14 @@ function initThreeJS() {
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(viewport.clientWidth, viewport.clientHeight);
     renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.localClippingEnabled = true;
+    
+    // Focusable, for the keyboard shortcuts
+    renderer.domElement.tabIndex = 0;
+    const loading = document.getElementById('loading');
     viewport.innerHTML = '';
     viewport.appendChild(renderer.domElement);
+    viewport.appendChild(loading);
     
     // Add lights
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
@@ -90,662 +313,2207 @@ function initThreeJS() {
     controls.enableDamping = true;
     controls.dampingFactor = 0.25;
     
-    // Add grid helper
-    const gridHelper = new THREE.GridHelper(1000, 20);
-    scene.add(gridHelper);
+    // The section view keeps the half of the horn behind the plane through its axis
+    sectionPlane = new THREE.Plane(new THREE.Vector3(0, 0, -1), 0);
+    
+    // Add grid helper
+    const gridHelper = new THREE.GridHelper(1000, 20);
+    scene.add(gridHelper);
+    
+    // Handle window resize
+    window.addEventListener('resize', onWindowResize);
+    
+    // Start animation loop
+    animate();
+}
+
+function animate() {
+    requestAnimationFrame(animate);
+    controls.update();
+    renderer.render(scene, camera);
+}
+
+function onWindowResize() {
+    const viewport = document.getElementById('viewport');
+    camera.aspect = viewport.clientWidth / viewport.clientHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(viewport.clientWidth, viewport.clientHeight);
+    
+    drawImpedanceChart();
+    drawDirectivityCharts();
+    drawProfileChart();
+}
+
+// Setup event listeners
+function setupEventListeners() {
+    // Pair each bounded number input with a slider
+    addRangeSliders();
+    
+    // Update value displays
+    document.querySelectorAll('.control-group input[type="number"]').forEach(input => {
+        input.addEventListener('input', () => updateValueDisplay(input.id));
+    });
+    
+    // Horn type, mouth shape and termination decide which dimensions are inputs
+    document.getElementById('hornType').addEventListener('change', updateTypeControls);
+    document.getElementById('mouthShape').addEventListener('change', updateTypeControls);
+    document.getElementById('mouthTermination').addEventListener('change', updateTypeControls);
+    document.getElementById('customSource').addEventListener('change', updateTypeControls);
+    
+    // Custom profile points from a CSV file, checked and previewed like pasted ones
+    document.getElementById('loadPointsBtn').addEventListener('click', () => {
+        document.getElementById('customPointsFile').click();
+    });
+    document.getElementById('customPointsFile').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            loadProfilePoints(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    
+    // Design from acoustic targets
+    document.getElementById('designFromTargets').addEventListener('change', (e) => {
+        document.getElementById('designOptions').hidden = !e.target.checked;
+        updateTypeControls();
+        applyDesignTargets();
+    });
+    
+    // Re-solve the design when any of its targets change
+    ['hornType', 'mouthShape', 'throatDiameter', 'targetFrequency', 'flareT', 'throatAngle', 'coverageAngle',
+        'verticalCoverageAngle', 'mouthCriterion', 'maxMouthDiameter', 'wallThickness'].forEach(id => {
+        document.getElementById(id).addEventListener('input', applyDesignTargets);
+    });
+    
+    // Throat flange options
+    document.getElementById('throatFlange').addEventListener('change', (e) => {
+        document.getElementById('flangeOptions').hidden = !e.target.checked;
+    });
+    
+    document.getElementById('flangePreset').addEventListener('change', (e) => {
+        applyFlangePreset(e.target.value);
+    });
+    
+    // Editing any flange dimension turns the preset into a custom pattern
+    ['boltHoleCount', 'boltCircleDiameter', 'boltHoleDiameter', 'flangeDiameter', 'flangeThickness'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            document.getElementById('flangePreset').value = 'custom';
+        });
+    });
+    
+    // Switching units converts the inputs and everything shown in lengths
+    document.getElementById('units').addEventListener('change', changeDisplayUnits);
+    
+    // Check the design as it is edited, after any targets have been solved
+    DESIGN_PARAMETERS.forEach(id => {
+        const input = document.getElementById(id);
+        input.addEventListener(input.type === 'number' ? 'input' : 'change', validateInputs);
+    });
+    
+    // Live preview, after the listeners above have updated the inputs
+    DESIGN_PARAMETERS.filter(id => !LIVE_PREVIEW_EXCLUDED.includes(id)).forEach(id => {
+        const input = document.getElementById(id);
+        input.addEventListener(input.type === 'number' ? 'input' : 'change', scheduleAutoGenerate);
+    });
+    document.getElementById('autoGenerate').addEventListener('change', (e) => {
+        if (e.target.checked) {
+            generateHorn();
+        } else {
+            clearTimeout(autoGenerateTimer);
+        }
+    });
+    
+    // Generate button
+    document.getElementById('generateBtn').addEventListener('click', () => generateHorn());
+    
+    // Re-triangulate the preview and the export mesh when the tessellation tolerance changes,
+    // and check or repair it again when the repair setting does
+    ['meshAngle', 'meshRepair'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateCurrentMesh);
+    });
+    
+    // A lofted solid passes through as many cross-sections as the linear tolerance
+    // needs, so it is built again rather than only re-triangulated
+    document.getElementById('meshTolerance').addEventListener('change', () => {
+        if (currentSolid && currentHorn && currentHorn.profile[0].rh !== undefined) {
+            generateHorn(true);
+        } else {
+            updateCurrentMesh();
+        }
+    });
+    
+    // Mesh export format decides the file size shown before download
+    document.getElementById('meshFormat').addEventListener('change', updateMeshExport);
+    
+    // Printable sections
+    document.getElementById('printSections').addEventListener('change', (e) => {
+        document.getElementById('sectionOptions').hidden = !e.target.checked;
+        if (!e.target.checked && currentSections) {
+            clearSections();
+            renderHornWithThreeJS(currentMesh);
+        }
+    });
+    
+    document.getElementById('splitBtn').addEventListener('click', splitForPrinting);
+    document.getElementById('downloadSectionsBtn').addEventListener('click', downloadSections);
+    
+    // Download buttons
+    document.getElementById('downloadBtn').addEventListener('click', downloadMesh);
+    document.getElementById('downloadCadBtn').addEventListener('click', downloadCAD);
+    
+    // 3D preview views, section view and measure tool
+    document.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', () => setView(button.dataset.view));
+    });
+    document.getElementById('fitViewBtn').addEventListener('click', fitView);
+    document.getElementById('sectionViewBtn').addEventListener('click', toggleSectionView);
+    document.getElementById('measureBtn').addEventListener('click', toggleMeasureMode);
+    renderer.domElement.addEventListener('keydown', (e) => {
+        const shortcut = VIEWPORT_SHORTCUTS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+        if (shortcut && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            shortcut();
+        }
+    });
+    
+    // Measurement points are picked by clicks, leaving drags to the orbit controls
+    let clickStart = null;
+    renderer.domElement.addEventListener('pointerdown', (e) => {
+        clickStart = e.isPrimary ? { x: e.clientX, y: e.clientY } : null;
+    });
+    renderer.domElement.addEventListener('pointerup', (e) => {
+        if (measureMode && clickStart && e.isPrimary && e.button === 0 &&
+            Math.hypot(e.clientX - clickStart.x, e.clientY - clickStart.y) < CLICK_TOLERANCE) {
+            pickMeasurePoint(e);
+        }
+        clickStart = null;
+    });
+    
+    // Mouth loading for the impedance chart
+    document.getElementById('radiationLoad').addEventListener('change', updateImpedanceChart);
+    
+    // Plane and frequencies of the polar plot
+    document.getElementById('polarPlane').addEventListener('change', drawDirectivityCharts);
+    document.getElementById('polarFrequencies').addEventListener('change', drawDirectivityCharts);
+    
+    // Comparison with pinned designs and parameter sweeps
+    document.getElementById('pinDesignBtn').addEventListener('click', pinCurrentDesign);
+    document.getElementById('clearPinsBtn').addEventListener('click', clearPinnedDesigns);
+    document.getElementById('comparisonTable').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-unpin]');
+        if (button) {
+            unpinDesign(Number(button.dataset.unpin));
+        }
+    });
+    document.getElementById('sweepParameter').addEventListener('change', suggestSweepRange);
+    document.getElementById('runSweepBtn').addEventListener('click', runSweep);
+    document.getElementById('pinSweepBtn').addEventListener('click', pinSweepResults);
+    
+    // Profile drawing and stacked-layer rings
+    document.getElementById('stationInterval').addEventListener('change', updateProfileDrawing);
+    document.getElementById('layerThickness').addEventListener('change', updateProfileDrawing);
+    document.getElementById('downloadSvgBtn').addEventListener('click', () => downloadProfileDrawing('svg'));
+    document.getElementById('downloadDxfBtn').addEventListener('click', () => downloadProfileDrawing('dxf'));
+    document.getElementById('downloadCsvBtn').addEventListener('click', () => downloadProfileDrawing('csv'));
+    document.getElementById('downloadLayersBtn').addEventListener('click', downloadLayerRings);
+    
+    // Design library, design files and shared links
+    document.getElementById('designPreset').addEventListener('change', loadSelectedPreset);
+    document.getElementById('savePresetBtn').addEventListener('click', saveCurrentPreset);
+    document.getElementById('deletePresetBtn').addEventListener('click', deleteSelectedPreset);
+    document.getElementById('exportDesignBtn').addEventListener('click', exportDesign);
+    document.getElementById('importDesignBtn').addEventListener('click', () => {
+        document.getElementById('importDesignFile').click();
+    });
+    document.getElementById('importDesignFile').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importDesign(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('copyLinkBtn').addEventListener('click', copyDesignLink);
+    
+    // Follow links to other designs pasted into the address bar
+    window.addEventListener('hashchange', () => {
+        if (loadDesignFromHash()) {
+            generateHorn();
+        }
+    });
+    
+    // Apply the initial horn type
+    updateTypeControls();
+}
+
+// Show an input's current value with its unit
+function updateValueDisplay(id) {
+    const display = document.getElementById(id + 'Value');
+    if (display) {
+        display.textContent = formatValue(id, document.getElementById(id).value);
+    }
+    syncRangeSlider(id);
+}
+
+// Add a slider under every number input in the controls that has both limits
+// Moving the slider edits the number input, so it goes through the same listeners
+function addRangeSliders() {
+    document.querySelectorAll('.control-group input[type="number"]').forEach(input => {
+        if (input.min === '' || input.max === '') {
+            return;
+        }
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = input.id + 'Range';
+        slider.className = 'range-slider';
+        slider.min = input.min;
+        slider.max = input.max;
+        slider.step = input.step;
+        slider.value = input.value;
+        slider.setAttribute('aria-label', input.labels.length > 0 ? input.labels[0].textContent : input.id);
+        input.insertAdjacentElement('afterend', slider);
+        
+        slider.addEventListener('input', () => {
+            input.value = slider.value;
+            input.dispatchEvent(new Event('input'));
+        });
+        slider.addEventListener('change', () => input.dispatchEvent(new Event('change')));
+    });
+}
+
+// Move an input's slider to its value and match its enabled state
+function syncRangeSlider(id) {
+    const slider = document.getElementById(id + 'Range');
+    if (slider) {
+        const input = document.getElementById(id);
+        slider.value = input.value;
+        slider.disabled = input.disabled;
+    }
+}
+
+// Format a design value, as shown in its input, with its unit
+function formatValue(id, value) {
+    return value + (id in VALUE_UNITS ? VALUE_UNITS[id] : ' ' + LENGTH_UNITS[displayUnits].label);
+}
+
+// Set an input's value from a design value in mm and refresh its display
+function setInputValue(id, value) {
+    document.getElementById(id).value = toDisplayValue(id, Number(value));
+    updateValueDisplay(id);
+}
+
+// A design value as shown in its input: lengths are converted from mm to the
+// display units, keeping them inside the limits of their input
+function toDisplayValue(id, value) {
+    if (!LENGTH_PARAMETERS.includes(id) || !Number.isFinite(value)) {
+        return value;
+    }
+    
+    const unit = LENGTH_UNITS[displayUnits];
+    const limits = DESIGN_LIMITS[id] || {};
+    let shown = Number((value / unit.scale).toFixed(unit.decimals));
+    if (value >= limits.min) {
+        shown = Math.max(shown, displayLimit(limits.min, 'min'));
+    }
+    if (value <= limits.max) {
+        shown = Math.min(shown, displayLimit(limits.max, 'max'));
+    }
+    return shown;
+}
+
+// A value from an input as a design value, with lengths in mm
+function fromDisplayValue(id, value) {
+    return LENGTH_PARAMETERS.includes(id) ? value * LENGTH_UNITS[displayUnits].scale : value;
+}
+
+// A length limit in mm in the display units, rounded inwards to the places of the inputs
+function displayLimit(value, side) {
+    const unit = LENGTH_UNITS[displayUnits];
+    const factor = Math.pow(10, unit.decimals);
+    const round = side === 'min' ? Math.ceil : Math.floor;
+    return round(Number((value / unit.scale * factor).toPrecision(12))) / factor;
+}
+
+// Round a length in mm to the places shown in the display units, keeping it in mm
+function roundLength(value) {
+    const unit = LENGTH_UNITS[displayUnits];
+    return Number((value / unit.scale).toFixed(unit.places)) * unit.scale;
+}
+
+// A length in mm as shown in the display units, without the unit
+function displayLength(value) {
+    const unit = LENGTH_UNITS[displayUnits];
+    return (value / unit.scale).toFixed(unit.places);
+}
+
+// An area in mm² as shown in the display units' area unit
+function displayArea(value) {
+    const unit = LENGTH_UNITS[displayUnits];
+    return (value / unit.area.scale).toFixed(unit.places);
+}
+
+// A volume in mm³ as shown in the display units' volume unit
+function displayVolume(value) {
+    const unit = LENGTH_UNITS[displayUnits];
+    return (value / unit.volume.scale).toFixed(unit.places);
+}
+
+// Unit of a row of horn information, following the display units
+function metricUnit(row) {
+    const unit = LENGTH_UNITS[displayUnits];
+    return { length: unit.label, area: unit.area.label, volume: unit.volume.label }[row.unit] || row.unit;
+}
+
+// Show lengths in mm or inches: relabel the inputs and information, and give
+// the length inputs limits and steps in the new unit
+function setDisplayUnits(units) {
+    displayUnits = units;
+    const unit = LENGTH_UNITS[units];
+    
+    const labels = { 'length-unit': unit.label, 'area-unit': unit.area.label, 'volume-unit': unit.volume.label };
+    for (const [className, label] of Object.entries(labels)) {
+        document.querySelectorAll('.' + className).forEach(span => {
+            span.textContent = label;
+        });
+    }
+    
+    for (const id of LENGTH_PARAMETERS) {
+        const input = document.getElementById(id);
+        const slider = document.getElementById(id + 'Range');
+        if (!input.dataset.step) {
+            input.dataset.step = input.step || '1';
+        }
+        
+        // Steps stay round numbers: 0.1 mm becomes 0.001 in
+        const step = Number(input.dataset.step) / unit.scale;
+        input.step = unit.scale === 1 ? input.dataset.step : Math.pow(10, Math.floor(Math.log10(step)));
+        const limits = DESIGN_LIMITS[id] || {};
+        if (limits.min !== undefined) {
+            input.min = displayLimit(limits.min, 'min');
+        }
+        if (limits.max !== undefined) {
+            input.max = displayLimit(limits.max, 'max');
+        }
+        if (slider) {
+            slider.min = input.min;
+            slider.max = input.max;
+            slider.step = input.step;
+        }
+    }
+}
+
+// Convert the inputs to the newly chosen units and redraw what shows lengths
+function changeDisplayUnits() {
+    applyDesignParameters(readDesignParameters());
+    
+    if (currentHorn) {
+        updateInfoPanel(currentHorn.metrics);
+        updateComparison();
+        updateProfileDrawing();
+    }
+    if (sweepResults) {
+        renderSweepTable();
+    }
+    if (currentMeshReport) {
+        showMeshReport(currentMeshReport, currentMeshRepairs);
+        updateMeshExport();
+    }
+    document.querySelectorAll('#sweepParameter option').forEach(option => {
+        option.text = parameterLabel(option.value);
+    });
+    showMeasurement();
+    suggestSweepRange();
+    updateDesignHash();
+}
+
+// Read the current design from the inputs
+// Numbers are kept as numbers and checkboxes as booleans
+function readDesignParameters() {
+    const parameters = {};
+    for (const id of DESIGN_PARAMETERS) {
+        const input = document.getElementById(id);
+        if (input.type === 'checkbox') {
+            parameters[id] = input.checked;
+        } else if (input.type === 'number') {
+            parameters[id] = fromDisplayValue(id, parseFloat(input.value));
+        } else {
+            parameters[id] = input.value;
+        }
+    }
+    return parameters;
+}
+
+// Set every input of a design, falling back to the defaults for anything the
+// design leaves out or gives an unusable value
+// The design's units are applied first, as the lengths are shown in them
+function applyDesignParameters(parameters) {
+    setDisplayUnits(parameters.units in LENGTH_UNITS ? parameters.units : DEFAULT_DESIGN.units);
+    
+    for (const id of DESIGN_PARAMETERS) {
+        const input = document.getElementById(id);
+        const value = id in parameters ? parameters[id] : DEFAULT_DESIGN[id];
+        
+        if (input.type === 'checkbox') {
+            input.checked = value === true || value === 'true';
+        } else if (input.tagName === 'SELECT') {
+            const valid = Array.from(input.options).some(option => option.value === String(value));
+            input.value = valid ? String(value) : DEFAULT_DESIGN[id];
+        } else if (input.type === 'number') {
+            const number = parseFloat(value);
+            input.value = toDisplayValue(id, Number.isFinite(number) ? number : DEFAULT_DESIGN[id]);
+        } else {
+            input.value = typeof value === 'string' ? value : DEFAULT_DESIGN[id];
+        }
+    }
+    
+    // Bring the dependent controls in line with the new values
+    document.getElementById('flangeOptions').hidden = !document.getElementById('throatFlange').checked;
+    document.getElementById('designOptions').hidden = !document.getElementById('designFromTargets').checked;
+    document.getElementById('sectionOptions').hidden = !document.getElementById('printSections').checked;
+    DESIGN_PARAMETERS.forEach(updateValueDisplay);
+    updateTypeControls();
+}
+
+// Encode the values of a design that differ from the defaults as a URL hash
+function encodeDesignHash(parameters, defaults) {
+    const query = new URLSearchParams();
+    for (const id of DESIGN_PARAMETERS) {
+        if (String(parameters[id]) !== String(defaults[id])) {
+            query.set(id, parameters[id]);
+        }
+    }
+    return query.toString();
+}
+
+// Decode a URL hash into design values; unknown keys are dropped
+function decodeDesignHash(hash) {
+    const query = new URLSearchParams(hash.replace(/^#/, ''));
+    const parameters = {};
+    for (const id of DESIGN_PARAMETERS) {
+        if (query.has(id)) {
+            parameters[id] = query.get(id);
+        }
+    }
+    return parameters;
+}
+
+// Keep the current design in the URL hash so the page can be reloaded or shared
+function updateDesignHash() {
+    const hash = encodeDesignHash(readDesignParameters(), DEFAULT_DESIGN);
+    history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+}
+
+// Apply a design from the URL hash, if there is one
+function loadDesignFromHash() {
+    if (location.hash.length <= 1) {
+        return false;
+    }
+    applyDesignParameters(decodeDesignHash(location.hash));
+    return true;
+}
+
+// Read the user's saved presets, keyed by name
+function loadPresetLibrary() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read the preset library:', error);
+        return {};
+    }
+}
+
+// Store the user's saved presets
+function savePresetLibrary(library) {
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(library));
+}
+
+// Fill the preset list with the built-in designs and the user's saved ones
+function populatePresetSelect(selected) {
+    const select = document.getElementById('designPreset');
+    select.innerHTML = '<option value="">Choose a design…</option>';
+    
+    const addGroup = (label, entries) => {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        for (const [value, name] of entries) {
+            group.appendChild(new Option(name, value));
+        }
+        select.appendChild(group);
+    };
+    
+    addGroup('Built-in', Object.entries(DESIGN_PRESETS).map(([key, preset]) => ['builtin:' + key, preset.name]));
+    
+    const saved = Object.keys(loadPresetLibrary()).sort();
+    if (saved.length > 0) {
+        addGroup('Saved', saved.map(name => ['saved:' + name, name]));
+    }
+    
+    select.value = selected || '';
+    document.getElementById('deletePresetBtn').disabled = !select.value.startsWith('saved:');
+}
+
+// Load the design picked from the preset list
+function loadSelectedPreset() {
+    const value = document.getElementById('designPreset').value;
+    document.getElementById('deletePresetBtn').disabled = !value.startsWith('saved:');
+    
+    let parameters = null;
+    if (value.startsWith('builtin:')) {
+        parameters = DESIGN_PRESETS[value.slice('builtin:'.length)].parameters;
+    } else if (value.startsWith('saved:')) {
+        parameters = loadPresetLibrary()[value.slice('saved:'.length)];
+    }
+    
+    if (parameters) {
+        applyDesignParameters(parameters);
+        generateHorn();
+    }
+}
+
+// Save the current design to the preset library under a name
+function saveCurrentPreset() {
+    const name = prompt('Save the current design as:');
+    if (!name || !name.trim()) {
+        return;
+    }
+    
+    try {
+        const library = loadPresetLibrary();
+        library[name.trim()] = readDesignParameters();
+        savePresetLibrary(library);
+        populatePresetSelect('saved:' + name.trim());
+    } catch (error) {
+        console.error('Error saving preset:', error);
+        alert('Error saving preset. Your browser may not allow local storage.');
+    }
+}
+
+// Remove the selected design from the preset library
+function deleteSelectedPreset() {
+    const value = document.getElementById('designPreset').value;
+    if (!value.startsWith('saved:')) {
+        return;
+    }
+    
+    const name = value.slice('saved:'.length);
+    if (!confirm(`Delete the preset "${name}"?`)) {
+        return;
+    }
+    
+    const library = loadPresetLibrary();
+    delete library[name];
+    savePresetLibrary(library);
+    populatePresetSelect();
+}
+
+// Download the current design as a JSON design file
+function exportDesign() {
+    const file = createDesignFile(readDesignParameters());
+    downloadBlob(JSON.stringify(file, null, 2), 'horn-design.json', 'application/json');
+}
+
+// Load a design from a JSON design file
+async function importDesign(file) {
+    try {
+        applyDesignParameters(parseDesignFile(await file.text()));
+        generateHorn();
+    } catch (error) {
+        console.error('Error importing design:', error);
+        alert('Error importing design: ' + error.message);
+    }
+}
+
+// Put the text of a CSV file of profile points into the points input
+async function loadProfilePoints(file) {
+    try {
+        const input = document.getElementById('customPoints');
+        input.value = await file.text();
+        input.dispatchEvent(new Event('change'));
+    } catch (error) {
+        console.error('Error loading profile points:', error);
+        alert('Error loading profile points: ' + error.message);
+    }
+}
+
+// Copy a link to the current design
+async function copyDesignLink() {
+    try {
+        await navigator.clipboard.writeText(location.href);
+    } catch (error) {
+        console.error('Error copying link:', error);
+        alert('Could not copy the link. Copy it from the address bar instead.');
+    }
+}
+
+// Show the parameter controls for the selected horn type and disable
+// the dimension inputs that type derives for itself
+function updateTypeControls() {
+    const hornType = document.getElementById('hornType').value;
+    const customSource = document.getElementById('customSource').value;
+    const derived = derivedDimensions({ hornType, customSource });
+    const designMode = document.getElementById('designFromTargets').checked;
+    
+    // Types that only make round horns force a round mouth
+    const mouthShapeSelect = document.getElementById('mouthShape');
+    if (!HORN_TYPES[hornType].nonRound) {
+        mouthShapeSelect.value = 'round';
+    }
+    mouthShapeSelect.disabled = !HORN_TYPES[hornType].nonRound;
+    const mouthShape = mouthShapeSelect.value;
+    const mouthTermination = document.getElementById('mouthTermination').value;
+    
+    // A control is shown only when every condition it declares matches
+    document.querySelectorAll('[data-horn-types], [data-mouth-shapes], [data-mouth-terminations], [data-custom-sources]').forEach(group => {
+        const { hornTypes, mouthShapes, mouthTerminations, customSources } = group.dataset;
+        group.hidden = (hornTypes !== undefined && !hornTypes.split(' ').includes(hornType)) ||
+            (mouthShapes !== undefined && !mouthShapes.split(' ').includes(mouthShape)) ||
+            (mouthTerminations !== undefined && !mouthTerminations.split(' ').includes(mouthTermination)) ||
+            (customSources !== undefined && !customSources.split(' ').includes(customSource));
+    });
+    
+    // Design mode solves the mouth and length from the acoustic targets
+    const mouthDerived = derived.includes('mouthDiameter') || designMode;
+    document.getElementById('mouthDiameter').disabled = mouthDerived;
+    document.getElementById('mouthWidth').disabled = mouthDerived;
+    document.getElementById('mouthHeight').disabled = mouthDerived;
+    document.getElementById('hornLength').disabled = derived.includes('hornLength') || designMode;
+    document.getElementById('throatDiameter').disabled = derived.includes('throatDiameter');
+    ['throatDiameter', 'mouthDiameter', 'mouthWidth', 'mouthHeight', 'hornLength'].forEach(syncRangeSlider);
+}
+
+// Write dimensions that follow from the profile back into their inputs
+function showDerivedDimensions(design, profilePoints) {
+    const derived = derivedDimensions(design);
+    const mouthPoint = profilePoints[profilePoints.length - 1];
+    
+    if (derived.includes('throatDiameter')) {
+        setInputValue('throatDiameter', roundLength(profilePoints[0].r * 2));
+    }
+    if (derived.includes('mouthDiameter')) {
+        if (mouthPoint.rh !== undefined) {
+            setInputValue('mouthWidth', roundLength(mouthPoint.rh * 2));
+            setInputValue('mouthHeight', roundLength(mouthPoint.rv * 2));
+        } else {
+            setInputValue('mouthDiameter', roundLength(mouthPoint.r * 2));
+        }
+    }
+    if (derived.includes('hornLength')) {
+        setInputValue('hornLength', roundLength(mouthPoint.x));
+    }
+}
+
+// Fill the throat and flange inputs from a bolt pattern preset
+function applyFlangePreset(presetName) {
+    const preset = FLANGE_PRESETS[presetName];
+    if (!preset) {
+        return;
+    }
+    
+    for (const [id, value] of Object.entries(preset)) {
+        setInputValue(id, value);
+    }
+}
+
+// Solve the mouth and length from the acoustic targets and write them into
+// the inputs, warning when the result cannot be printed
+function applyDesignTargets() {
+    const warning = document.getElementById('designWarning');
+    if (!document.getElementById('designFromTargets').checked) {
+        warning.hidden = true;
+        return;
+    }
+    
+    const { design, messages } = solveDesignTargets(readDesignParameters());
+    for (const id of ['hornLength', 'mouthDiameter', 'mouthWidth', 'mouthHeight']) {
+        setInputValue(id, design[id]);
+    }
+    
+    warning.textContent = messages.join(' ');
+    warning.hidden = messages.length === 0;
+}
+
+// Generate horn geometry
+// Pass keepView to leave the camera where it is, as the live preview does
+function generateHorn(keepView = false) {
+    clearTimeout(autoGenerateTimer);
+    try {
+        // Solve the dimensions first when designing from acoustic targets
+        applyDesignTargets();
+        
+        // Leave the last valid horn on screen until the problems are fixed
+        if (validateInputs().length > 0) {
+            showGenerateStatus(currentHorn
+                ? 'Fix the highlighted values to update the horn; the preview shows the last valid design.'
+                : 'Fix the highlighted values to generate the horn.');
+            return;
+        }
+        
+        // Calculate the profile and wall here; the solid and its mesh come from the worker
+        const design = readDesignParameters();
+        const horn = buildHorn(design, { exports: false });
+        const profilePoints = horn.profile;
+        
+        // Show the dimensions that follow from the curve rather than the inputs
+        showDerivedDimensions(design, profilePoints);
+        
+        // Update info panel
+        currentHorn = horn;
+        updateInfoPanel(horn.metrics);
+        
+        // Update acoustic analysis
+        currentProfile = profilePoints;
+        updateImpedanceChart();
+        updateDirectivityCharts();
+        
+        // Compare against the pinned designs
+        previewHorn = horn;
+        updateComparison();
+        updateProfileDrawing();
+        
+        // Sections belong to the previous shape
+        clearSections();
+        
+        // Keep the design in the URL
+        updateDesignHash();
+        
+        // Build the solid and its mesh without blocking the page
+        buildModel(design, keepView);
+        showGenerateStatus(null);
+    } catch (error) {
+        console.error('Error generating horn:', error);
+        showGenerateStatus('Could not generate the horn: ' + error.message);
+    }
+}
+
+// Check the design in the inputs and show any problems beside their controls
+// Returns the problems found
+function validateInputs() {
+    const errors = validateDesign(readDesignParameters());
+    showValidationErrors(errors);
+    if (errors.length === 0) {
+        showGenerateStatus(null);
+    }
+    return errors;
+}
+
+// Mark the inputs with problems and put each message under its control
+function showValidationErrors(errors) {
+    document.querySelectorAll('.field-error').forEach(message => message.remove());
+    document.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+    
+    for (const { id, message } of errors) {
+        const input = document.getElementById(id);
+        const text = document.createElement('span');
+        text.className = 'field-error';
+        text.textContent = message;
+        input.classList.add('invalid');
+        input.closest('.control-group, .drawing-controls').appendChild(text);
+    }
+}
+
+// Show why the horn was not updated, or clear the message with null
+function showGenerateStatus(message) {
+    const status = document.getElementById('generateStatus');
+    status.textContent = message || '';
+    status.hidden = !message;
+}
+
+// Build the solid and mesh of a design in the worker and show them
+// A newer build replaces this one, which then leaves the page alone
+async function buildModel(design, keepView) {
+    const build = ++currentBuild;
+    let stage = null;
+    let shown = false;
+    const timer = setTimeout(() => {
+        shown = true;
+        if (stage) {
+            showModelProgress(stage);
+        }
+    }, PROGRESS_DELAY_MS);
+    
+    // Files written so far belong to the previous horn
+    document.getElementById('downloadBtn').disabled = true;
+    document.getElementById('downloadCadBtn').disabled = true;
+    
+    try {
+        const result = await requestModel('build', { design }, (text, fraction) => {
+            stage = progressText(text, fraction);
+            if (shown && build === currentBuild) {
+                showModelProgress(stage);
+            }
+        });
+        if (build !== currentBuild) {
+            return;
+        }
+        
+        // The preview shows the export mesh, tessellated from the OpenCascade solid if there is one
+        currentSolid = result.solid;
+        if (currentSolid) {
+            console.log('Horn shape created successfully');
+        } else {
+            console.warn('OpenCascade solid not available, using Three.js fallback');
+        }
+        applyMeshResult(result);
+        renderHornWithThreeJS(currentMesh, keepView);
+        document.getElementById('downloadBtn').disabled = false;
+        document.getElementById('downloadCadBtn').disabled = !currentSolid;
+    } catch (error) {
+        if (error.cancelled || build !== currentBuild) {
+            return;
+        }
+        console.error('Error building horn:', error);
+        showGenerateStatus('Could not build the horn: ' + error.message);
+    } finally {
+        clearTimeout(timer);
+        if (build === currentBuild) {
+            showModelProgress(null);
+        }
+    }
+}
+
+// Re-tessellate the current horn at the mesh tolerance, then check and
+// optionally repair the result before it is exported
+async function updateCurrentMesh() {
+    if (!currentMesh) {
+        return;
+    }
+    
+    const build = currentBuild;
+    const design = readDesignParameters();
+    try {
+        const result = await requestModel('mesh', { design });
+        if (build !== currentBuild) {
+            return;
+        }
+        
+        applyMeshResult(result);
+        if (currentSections) {
+            currentSections = await requestModel('sectionMeshes', { design }, (text, fraction) => {
+                showModelProgress(progressText(text, fraction));
+            });
+            renderSections(currentSections);
+        } else {
+            renderHornWithThreeJS(currentMesh, true);
+        }
+    } catch (error) {
+        console.error('Error meshing horn:', error);
+        alert('Error meshing horn: ' + error.message);
+    } finally {
+        showModelProgress(null);
+    }
+}
+
+// Stop waiting for the build in progress; the worker drops it at its next stage
+function cancelModelBuild() {
+    currentBuild++;
+    requestModel('cancel', {}).catch(error => console.error('Error cancelling build:', error));
+    document.getElementById('downloadBtn').disabled = true;
+    document.getElementById('downloadCadBtn').disabled = true;
+    showModelProgress(null);
+}
+
+// Follow a change with the quick preview at once and the full build after a pause
+function scheduleAutoGenerate() {
+    if (!document.getElementById('autoGenerate').checked) {
+        return;
+    }
+    
+    clearTimeout(autoGenerateTimer);
+    autoGenerateTimer = setTimeout(() => generateHorn(true), AUTO_GENERATE_DELAY_MS);
+    
+    // Slider drags fire faster than the screen redraws
+    if (!quickPreviewPending) {
+        quickPreviewPending = true;
+        requestAnimationFrame(() => {
+            quickPreviewPending = false;
+            showQuickPreview();
+        });
+    }
+}
+
+// Show the swept mesh of the design being edited, without the solid
+// The full build that follows replaces it; a design with problems leaves the preview alone
+function showQuickPreview() {
+    const design = readDesignParameters();
+    if (validateDesign(design).length > 0) {
+        return;
+    }
+    
+    try {
+        const horn = buildHorn(design, { exports: false });
+        
+        // The solid being built belongs to older values
+        cancelModelBuild();
+        clearSections();
+        showDerivedDimensions(design, horn.profile);
+        updateInfoPanel(horn.metrics);
+        previewHorn = horn;
+        renderHornWithThreeJS(buildHornMesh(horn.shellOutline, horn.flangeOutline, MESH_RADIAL_SEGMENTS), true);
+    } catch (error) {
+        console.error('Error previewing horn:', error);
+    }
+}
+
+// Keep a mesh from the worker with its check, and write it in the export format
+function applyMeshResult({ mesh, meshReport, meshRepairs }) {
+    currentMesh = mesh;
+    currentMeshReport = meshReport;
+    currentMeshRepairs = meshRepairs;
+    currentMeshExport = null;
+    showMeshReport(meshReport, meshRepairs);
+    updateMeshExport();
+}
+
+// List what the mesh check found and what the repair changed
+function showMeshReport(report, repairs) {
+    const problems = meshProblems(report);
+    const lines = problems.length > 0 ? problems : [`Watertight, encloses ${displayVolume(report.volume)} ${LENGTH_UNITS[displayUnits].volume.label}`];
+    
+    if (repairs) {
+        const done = [
+            repairs.weldedVertices > 0 ? `merged ${repairs.weldedVertices} duplicate vertices` : null,
+            repairs.removedTriangles > 0 ? `removed ${repairs.removedTriangles} degenerate or repeated triangles` : null,
+            repairs.flippedTriangles > 0 ? `turned ${repairs.flippedTriangles} triangles to face outwards` : null
+        ].filter(Boolean);
+        if (done.length > 0) {
+            lines.push('Repaired: ' + done.join(', '));
+        }
+    }
+    
+    if (!currentSolid && currentHorn && currentHorn.flange) {
+        lines.push(FLANGE_HOLES_NOTE);
+    }
+    
+    if (problems.length > 0) {
+        console.warn('Mesh check:', problems.join('; '));
+    }
+    
+    const list = document.getElementById('meshReport');
+    list.className = 'mesh-report ' + (problems.length > 0 ? 'mesh-problems' : 'mesh-valid');
+    list.innerHTML = '';
+    for (const line of lines) {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+    }
+}
+
+// Write the current mesh in the selected format and show its triangle count and file size
+async function updateMeshExport() {
+    if (!currentMesh) {
+        return;
+    }
+    
+    const mesh = currentMesh;
+    const format = document.getElementById('meshFormat').value;
+    const units = displayUnits;
+    try {
+        const file = await requestModel('meshFile', { format, units });
+        if (mesh !== currentMesh || format !== document.getElementById('meshFormat').value || units !== displayUnits) {
+            return;
+        }
+        
+        currentMeshExport = { ...file, units };
+        const triangles = currentMesh.indices.length / 3;
+        document.getElementById('meshSummary').textContent = `${triangles.toLocaleString()} triangles, ${formatFileSize(file.data.length)}`;
+    } catch (error) {
+        console.error('Error writing mesh:', error);
+    }
+}
+
+// Format a byte count in B, KB or MB
+function formatFileSize(bytes) {
+    if (bytes < 1024) {
+        return bytes + ' B';
+    }
+    if (bytes < 1024 * 1024) {
+        return (bytes / 1024).toFixed(1) + ' KB';
+    }
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+// Render printable sections pulled slightly apart, each in its own colour
+function renderSections(sections) {
+    const existingMesh = scene.getObjectByName('horn');
+    if (existingMesh) {
+        scene.remove(existingMesh);
+    }
+    
+    const group = new THREE.Group();
+    group.name = 'horn';
+    
+    sections.forEach((section, i) => {
+        const { vertices, indices } = section.mesh;
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        
+        const material = new THREE.MeshPhongMaterial({
+            color: new THREE.Color().setHSL(i / sections.length, 0.55, 0.6),
+            specular: 0x111111,
+            shininess: 30,
+            side: THREE.DoubleSide
+        });
+        
+        // Rings move apart along the axis, petals away from it
+        const mesh = new THREE.Mesh(geometry, material);
+        const angle = (section.angle0 + section.angle1) / 2;
+        const spread = section.angle1 - section.angle0 < Math.PI * 2 ? SECTION_EXPLODE : 0;
+        mesh.position.set(section.ring * SECTION_EXPLODE, Math.cos(angle) * spread, Math.sin(angle) * spread);
+        group.add(mesh);
+    });
+    
+    scene.add(group);
+    updateSectionView();
+    clearMeasurement();
+}
+
+// Fallback: Render the pure JavaScript horn mesh directly (without OpenCascade)
+function renderHornWithThreeJS(hornMesh, keepView = false) {
+    // Remove previous mesh
+    const existingMesh = scene.getObjectByName('horn');
+    if (existingMesh) {
+        scene.remove(existingMesh);
+    }
+    
+    try {
+        const { vertices, indices } = hornMesh;
+        
+        // Create geometry
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        
+        // Create material
+        const material = new THREE.MeshPhongMaterial({
+            color: 0x667eea,
+            specular: 0x111111,
+            shininess: 30,
+            side: THREE.DoubleSide
+        });
+        
+        // Create mesh
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = 'horn';
+        scene.add(mesh);
+        
+        // Add wireframe
+        const wireframeGeometry = new THREE.EdgesGeometry(geometry);
+        const wireframeMaterial = new THREE.LineBasicMaterial({ 
+            color: 0x000000, 
+            linewidth: 1, 
+            opacity: 0.1, 
+            transparent: true 
+        });
+        const wireframe = new THREE.LineSegments(wireframeGeometry, wireframeMaterial);
+        mesh.add(wireframe);
+        
+        // Center camera on the horn
+        if (!keepView) {
+            setView('iso');
+        }
+        
+        updateSectionView();
+        clearMeasurement();
+    } catch (error) {
+        console.error('Error rendering horn with Three.js:', error);
+    }
+}
+
+// Look at the shown horn from one of the view presets
+function setView(name) {
+    frameView(new THREE.Vector3(...VIEW_PRESETS[name]));
+}
+
+// Fit the shown horn to the view, looking from where the camera is now
+function fitView() {
+    frameView(camera.position.clone().sub(controls.target));
+}
+
+// Aim the camera at the centre of the shown horn from a direction, far enough
+// back for all of it to fit across the narrower side of the view
+function frameView(direction) {
+    const object = scene.getObjectByName('horn');
+    if (!object) {
+        return;
+    }
+    
+    const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+    const verticalFov = camera.fov * Math.PI / 180;
+    const fov = Math.min(verticalFov, 2 * Math.atan(Math.tan(verticalFov / 2) * camera.aspect));
+    const distance = VIEW_FIT_MARGIN * sphere.radius / Math.sin(fov / 2);
+    
+    controls.target.copy(sphere.center);
+    camera.position.copy(sphere.center).addScaledVector(direction.normalize(), distance);
+    controls.stop();
+    controls.update();
+}
+
+// Turn the section view on or off
+function toggleSectionView() {
+    sectionView = !sectionView;
+    document.getElementById('sectionViewBtn').setAttribute('aria-pressed', sectionView);
+    updateSectionView();
+    
+    // Points on the half cut away can no longer be seen
+    clearMeasurement();
+}
+
+// Clip the horn and the pinned designs at the axis plane and fill in the cut wall,
+// or put them back whole
+function updateSectionView() {
+    const planes = sectionView ? [sectionPlane] : [];
+    for (const name of ['horn', 'comparison']) {
+        const object = scene.getObjectByName(name);
+        if (object) {
+            object.traverse(child => {
+                if (child.material) {
+                    child.material.clippingPlanes = planes;
+                    child.material.needsUpdate = true;
+                }
+            });
+        }
+    }
+    
+    const existing = scene.getObjectByName('sectionCut');
+    if (existing) {
+        scene.remove(existing);
+    }
+    
+    // Exploded sections are cut open without filling in the wall
+    const horn = scene.getObjectByName('horn');
+    if (sectionView && previewHorn && horn && horn.isMesh) {
+        scene.add(createSectionCut(previewHorn));
+    }
+}
+
+// Faces filling the wall where the section plane cuts a horn, above and below the axis
+// The shell and flange outlines are the wall's cross-section; a non-round horn
+// is cut through its vertical half-height
+function createSectionCut(horn) {
+    const group = new THREE.Group();
+    group.name = 'sectionCut';
+    const material = new THREE.MeshBasicMaterial({ color: SECTION_CUT_COLOR, side: THREE.DoubleSide });
+    
+    for (const outline of [horn.shellOutline, horn.flangeOutline]) {
+        if (!outline) {
+            continue;
+        }
+        
+        const loop = outline.inner.concat(outline.outer.slice().reverse());
+        const key = loop[0].rv === undefined ? 'r' : 'rv';
+        const geometry = new THREE.ShapeGeometry(new THREE.Shape(loop.map(p => new THREE.Vector2(p.x, p[key]))));
+        
+        group.add(new THREE.Mesh(geometry, material));
+        const below = new THREE.Mesh(geometry, material);
+        below.scale.y = -1;
+        group.add(below);
+    }
+    
+    return group;
+}
+
+// Turn the measure tool on or off
+function toggleMeasureMode() {
+    measureMode = !measureMode;
+    document.getElementById('measureBtn').setAttribute('aria-pressed', measureMode);
+    document.getElementById('viewport').classList.toggle('measuring', measureMode);
+    clearMeasurement();
+}
+
+// Escape clears the points picked so far, or leaves the measure tool when there are none
+function cancelMeasurement() {
+    if (measurePoints.length > 0) {
+        clearMeasurement();
+    } else if (measureMode) {
+        toggleMeasureMode();
+    }
+}
+
+// Pick a measurement point under a click, snapped to the nearest vertex of the mesh
+// A third point starts a new measurement
+function pickMeasurePoint(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        (event.clientX - rect.left) / rect.width * 2 - 1,
+        1 - (event.clientY - rect.top) / rect.height * 2
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    
+    // Only faces are picked, not the edge lines, and nothing the section view has cut away
+    const targets = ['horn', 'sectionCut'].map(name => scene.getObjectByName(name)).filter(Boolean);
+    const hit = raycaster.intersectObjects(targets, true).find(hit =>
+        hit.face && (!sectionView || sectionPlane.distanceToPoint(hit.point) > -0.01));
+    if (!hit) {
+        return;
+    }
+    
+    if (measurePoints.length === 2) {
+        measurePoints = [];
+    }
+    measurePoints.push(nearestFaceVertex(hit));
+    showMeasurement();
+}
+
+// The corner of a picked triangle nearest the hit point, in scene coordinates
+function nearestFaceVertex(hit) {
+    const position = hit.object.geometry.attributes.position;
+    return [hit.face.a, hit.face.b, hit.face.c]
+        .map(index => new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(hit.object.matrixWorld))
+        .reduce((nearest, vertex) => vertex.distanceTo(hit.point) < nearest.distanceTo(hit.point) ? vertex : nearest);
+}
+
+// Mark the measurement points and the line between them, and describe them in the readout
+// Positions are given along the axis (x) and out from it (r)
+function showMeasurement() {
+    const existing = scene.getObjectByName('measurement');
+    if (existing) {
+        scene.remove(existing);
+    }
+    
+    const group = new THREE.Group();
+    group.name = 'measurement';
+    
+    // Markers and line show through the horn
+    const material = new THREE.MeshBasicMaterial({ color: MEASURE_COLOR, depthTest: false });
+    const horn = scene.getObjectByName('horn');
+    const size = horn ? new THREE.Box3().setFromObject(horn).getBoundingSphere(new THREE.Sphere()).radius : 100;
+    for (const point of measurePoints) {
+        const marker = new THREE.Mesh(new THREE.SphereGeometry(size * 0.012, 12, 8), material);
+        marker.position.copy(point);
+        marker.renderOrder = 1;
+        group.add(marker);
+    }
+    if (measurePoints.length === 2) {
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(measurePoints),
+            new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+        );
+        line.renderOrder = 1;
+        group.add(line);
+    }
+    if (measurePoints.length > 0) {
+        scene.add(group);
+    }
+    
+    const radius = point => Math.hypot(point.y, point.z);
+    const length = value => displayLength(value) + ' ' + LENGTH_UNITS[displayUnits].label;
+    const [a, b] = measurePoints;
+    let text;
+    if (!a) {
+        text = 'Click two points on the horn';
+    } else if (!b) {
+        text = `x ${length(a.x)}, r ${length(radius(a))}. Click a second point`;
+    } else {
+        text = `Distance ${length(a.distanceTo(b))} (Δx ${length(Math.abs(b.x - a.x))}, Δr ${length(Math.abs(radius(b) - radius(a)))})`;
+    }
+    const readout = document.getElementById('measureReadout');
+    readout.textContent = text;
+    readout.hidden = !measureMode;
+}
+
+// Forget the measurement points, as when the horn they were on changes
+function clearMeasurement() {
+    measurePoints = [];
+    showMeasurement();
+}
+
+// Update info panel
+function updateInfoPanel(metrics) {
+    for (const row of METRIC_ROWS) {
+        document.getElementById(row.id).textContent = row.format(metrics);
+    }
+}
+
+// Display name of a horn type, as in the horn type menu
+function hornTypeName(hornType) {
+    return document.querySelector(`#hornType option[value="${hornType}"]`).textContent;
+}
+
+// Pin the last generated design for comparison
+function pinCurrentDesign() {
+    if (currentHorn) {
+        pinDesign(currentHorn, null, hornTypeName(currentHorn.design.hornType));
+        renderComparisonMeshes();
+        updateComparison();
+    }
+}
+
+// Add a design to the pinned designs in the first free colour
+// Pins without a label are lettered by their colour; returns false when all colours are taken
+function pinDesign(horn, label, detail) {
+    const slot = COMPARISON_COLORS.findIndex(color => !pinnedDesigns.some(pin => pin.color === color));
+    if (slot < 0) {
+        alert(`Up to ${COMPARISON_COLORS.length} designs can be pinned. Remove one to pin another.`);
+        return false;
+    }
+    
+    pinnedDesigns.push({
+        label: label || String.fromCharCode(65 + slot),
+        detail,
+        color: COMPARISON_COLORS[slot],
+        profile: horn.profile,
+        shellOutline: horn.shellOutline,
+        flangeOutline: horn.flangeOutline,
+        metrics: horn.metrics
+    });
+    return true;
+}
+
+// Remove one pinned design
+function unpinDesign(index) {
+    pinnedDesigns.splice(index, 1);
+    renderComparisonMeshes();
+    updateComparison();
+}
+
+// Remove every pinned design
+function clearPinnedDesigns() {
+    pinnedDesigns = [];
+    renderComparisonMeshes();
+    updateComparison();
+}
+
+// Redraw the profile chart and comparison table for the current and pinned designs
+function updateComparison() {
+    document.getElementById('pinDesignBtn').disabled = !currentHorn;
+    document.getElementById('clearPinsBtn').disabled = pinnedDesigns.length === 0;
+    
+    if (!currentHorn) {
+        return;
+    }
+    
+    drawProfileChart();
+    renderMetricsTable(document.getElementById('comparisonTable'), [
+        { label: 'Current', detail: hornTypeName(currentHorn.design.hornType), color: CURRENT_DESIGN_COLOR, metrics: currentHorn.metrics },
+        ...pinnedDesigns.map((pin, index) => ({ ...pin, unpin: index }))
+    ]);
+}
+
+// Show the pinned designs as semi-transparent horns around the current one
+function renderComparisonMeshes() {
+    const existing = scene.getObjectByName('comparison');
+    if (existing) {
+        scene.remove(existing);
+    }
+    
+    const group = new THREE.Group();
+    group.name = 'comparison';
+    
+    for (const pin of pinnedDesigns) {
+        const { vertices, indices } = buildHornMesh(pin.shellOutline, pin.flangeOutline, MESH_RADIAL_SEGMENTS);
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        
+        // Without depth writes the overlays never hide each other or the current horn
+        const material = new THREE.MeshPhongMaterial({
+            color: pin.color,
+            transparent: true,
+            opacity: 0.3,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        group.add(new THREE.Mesh(geometry, material));
+    }
+    
+    scene.add(group);
+    updateSectionView();
+}
+
+// Draw the flare radius along the axis of the current and pinned designs
+function drawProfileChart() {
+    if (!currentHorn) {
+        return;
+    }
+    
+    const { scale, label } = LENGTH_UNITS[displayUnits];
+    const profileSeries = (name, color, profile) => ({ label: name, color, points: profile.map(p => ({ x: p.x / scale, y: p.r / scale })) });
+    
+    drawChart(document.getElementById('profileChart'), {
+        xScale: 'linear',
+        xLabel: `Distance from throat (${label})`,
+        yLabel: `Radius (${label})`,
+        yMin: 0,
+        series: [
+            profileSeries('Current', CURRENT_DESIGN_COLOR, currentHorn.profile),
+            ...pinnedDesigns.map(pin => profileSeries(pin.label, pin.color, pin.profile))
+        ]
+    });
+}
+
+// Fill a table with one column of horn information per design
+// Columns are { label, detail, color, metrics }; a column with unpin gets a remove button
+function renderMetricsTable(table, columns) {
+    table.innerHTML = '';
+    
+    const header = table.createTHead().insertRow();
+    header.appendChild(document.createElement('th'));
+    for (const column of columns) {
+        const cell = document.createElement('th');
+        if (column.color) {
+            const swatch = document.createElement('span');
+            swatch.className = 'series-swatch';
+            swatch.style.background = column.color;
+            cell.appendChild(swatch);
+        }
+        cell.appendChild(document.createTextNode(column.label));
+        if (column.unpin !== undefined) {
+            const button = document.createElement('button');
+            button.className = 'unpin-btn';
+            button.title = 'Remove';
+            button.textContent = '×';
+            button.dataset.unpin = column.unpin;
+            cell.appendChild(button);
+        }
+        if (column.detail) {
+            const detail = document.createElement('small');
+            detail.textContent = column.detail;
+            cell.appendChild(detail);
+        }
+        header.appendChild(cell);
+    }
+    
+    const body = table.createTBody();
+    for (const row of METRIC_ROWS) {
+        const tableRow = body.insertRow();
+        const label = document.createElement('th');
+        label.textContent = `${row.label} (${metricUnit(row)})`;
+        tableRow.appendChild(label);
+        for (const column of columns) {
+            tableRow.insertCell().textContent = row.format(column.metrics);
+        }
+    }
+    
+    table.hidden = false;
+}
+
+// Label of a design input without its trailing colon
+function parameterLabel(id) {
+    return document.querySelector(`label[for="${id}"]`).textContent.trim().replace(/:$/, '');
+}
+
+// Offer the sweepable design values in the sweep menu
+function populateSweepParameters() {
+    const select = document.getElementById('sweepParameter');
+    for (const id of SWEEP_PARAMETERS) {
+        select.add(new Option(parameterLabel(id), id));
+    }
+    suggestSweepRange();
+}
+
+// Start the sweep range a quarter either side of the parameter's current value
+function suggestSweepRange() {
+    const id = document.getElementById('sweepParameter').value;
+    const value = parseFloat(document.getElementById(id).value);
+    document.getElementById('sweepFrom').value = Number((value * 0.75).toPrecision(3));
+    document.getElementById('sweepTo').value = Number((value * 1.25).toPrecision(3));
+}
+
+// Build the current design over a range of one parameter and tabulate the results
+function runSweep() {
+    const parameter = document.getElementById('sweepParameter').value;
+    const from = fromDisplayValue(parameter, parseFloat(document.getElementById('sweepFrom').value));
+    const to = fromDisplayValue(parameter, parseFloat(document.getElementById('sweepTo').value));
+    const steps = parseInt(document.getElementById('sweepSteps').value, 10);
+    
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from === to || !(steps >= 2 && steps <= 10)) {
+        alert('Enter two different values to sweep between and 2 to 10 steps.');
+        return;
+    }
+    
+    // Derived inputs are disabled and inputs of other horn types hidden; neither changes the horn
+    const input = document.getElementById(parameter);
+    if (input.disabled || input.closest('[hidden]')) {
+        alert(`${parameterLabel(parameter)} does not shape the current design, so sweeping it would change nothing.`);
+        return;
+    }
     
-    // Handle window resize
-    window.addEventListener('resize', onWindowResize);
+    try {
+        sweepResults = { parameter, results: sweepDesign(readDesignParameters(), parameter, from, to, steps) };
+        renderSweepTable();
+        document.getElementById('pinSweepBtn').disabled = false;
+    } catch (error) {
+        console.error('Error running sweep:', error);
+        alert('Error running sweep: ' + error.message);
+    }
+}
+
+// Tabulate the designs of the last sweep, labelled by the swept value
+function renderSweepTable() {
+    const { parameter, results } = sweepResults;
+    renderMetricsTable(document.getElementById('sweepTable'), results.map(({ value, horn }) => ({
+        label: formatValue(parameter, toDisplayValue(parameter, value)),
+        metrics: horn.metrics
+    })));
+}
+
+// Pin every design of the last sweep, as far as there are colours left
+function pinSweepResults() {
+    if (!sweepResults) {
+        return;
+    }
     
-    // Start animation loop
-    animate();
+    const detail = parameterLabel(sweepResults.parameter);
+    for (const { value, horn } of sweepResults.results) {
+        if (!pinDesign(horn, formatValue(sweepResults.parameter, toDisplayValue(sweepResults.parameter, value)), detail)) {
+            break;
+        }
+    }
+    renderComparisonMeshes();
+    updateComparison();
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-    controls.update();
-    renderer.render(scene, camera);
+// Recalculate and redraw the throat impedance of the current profile
+function updateImpedanceChart() {
+    if (!currentProfile) {
+        return;
+    }
+    
+    const load = document.getElementById('radiationLoad').value;
+    impedanceResults = calculateThroatImpedance(currentProfile, load, currentHorn.metrics.speedOfSound);
+    drawImpedanceChart();
 }
 
-function onWindowResize() {
-    const viewport = document.getElementById('viewport');
-    camera.aspect = viewport.clientWidth / viewport.clientHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(viewport.clientWidth, viewport.clientHeight);
+// Draw the throat impedance results
+function drawImpedanceChart() {
+    if (!impedanceResults) {
+        return;
+    }
+    
+    drawChart(document.getElementById('impedanceChart'), {
+        xScale: 'log',
+        xLabel: 'Frequency (Hz)',
+        yLabel: 'Normalized impedance',
+        series: [
+            { label: 'Resistance', color: '#667eea', points: impedanceResults.map(p => ({ x: p.frequency, y: p.resistance })) },
+            { label: 'Reactance', color: '#e8590c', points: impedanceResults.map(p => ({ x: p.frequency, y: p.reactance })) }
+        ]
+    });
 }
 
-// Setup event listeners
-function setupEventListeners() {
-    // Update value displays
-    const inputs = ['throatDiameter', 'mouthDiameter', 'targetFrequency', 'hornLength', 'segments'];
-    inputs.forEach(id => {
-        const input = document.getElementById(id);
-        const display = document.getElementById(id + 'Value');
-        input.addEventListener('input', () => {
-            const unit = id === 'targetFrequency' ? ' Hz' : id === 'segments' ? '' : ' mm';
-            display.textContent = input.value + unit;
-        });
+// Recalculate and redraw the directivity prediction of the current profile
+function updateDirectivityCharts() {
+    if (!currentProfile) {
+        return;
+    }
+    
+    directivityResults = calculateDirectivity(currentProfile, currentHorn.metrics.speedOfSound);
+    drawDirectivityCharts();
+}
+
+// Draw the polar plot at the chosen frequencies, and the beamwidth and directivity index curves
+function drawDirectivityCharts() {
+    if (!directivityResults) {
+        return;
+    }
+    
+    const plane = document.getElementById('polarPlane').value;
+    const checkboxes = [...document.querySelectorAll('#polarFrequencies input')];
+    const colors = [CURRENT_DESIGN_COLOR, ...COMPARISON_COLORS];
+    drawPolarChart(document.getElementById('polarChart'), {
+        series: checkboxes.flatMap((checkbox, i) => checkbox.checked ? [{
+            label: checkbox.parentElement.textContent.trim(),
+            color: colors[i % colors.length],
+            points: calculatePolarResponse(currentProfile, Number(checkbox.value), plane, currentHorn.metrics.speedOfSound)
+        }] : [])
     });
     
-    // Auto-calculate length checkbox
-    document.getElementById('autoCalculateLength').addEventListener('change', (e) => {
-        document.getElementById('hornLength').disabled = e.target.checked;
-        if (e.target.checked) {
-            updateCalculatedLength();
-        }
+    // Round mouths have the same beamwidth in both planes
+    const round = directivityResults.every(p => p.horizontal === p.vertical);
+    const beamwidthSeries = round
+        ? [{ label: '-6 dB beamwidth', color: '#667eea', points: directivityResults.map(p => ({ x: p.frequency, y: p.horizontal })) }]
+        : [
+            { label: 'Horizontal', color: '#667eea', points: directivityResults.map(p => ({ x: p.frequency, y: p.horizontal })) },
+            { label: 'Vertical', color: '#e8590c', points: directivityResults.map(p => ({ x: p.frequency, y: p.vertical })) }
+        ];
+    
+    drawChart(document.getElementById('beamwidthChart'), {
+        xScale: 'log',
+        xLabel: 'Frequency (Hz)',
+        yLabel: '-6 dB beamwidth (°)',
+        yMin: 0,
+        series: beamwidthSeries
     });
     
-    // Update calculated length when frequency changes
-    document.getElementById('targetFrequency').addEventListener('input', () => {
-        if (document.getElementById('autoCalculateLength').checked) {
-            updateCalculatedLength();
-        }
+    drawChart(document.getElementById('directivityIndexChart'), {
+        xScale: 'log',
+        xLabel: 'Frequency (Hz)',
+        yLabel: 'Directivity index (dB)',
+        series: [
+            { label: 'Directivity index', color: '#2f9e44', points: directivityResults.map(p => ({ x: p.frequency, y: p.directivityIndex })) }
+        ]
     });
+}
+
+// Draw polar responses on a canvas, mirrored about the axis, which points up
+// Each series has { label, color, points } with points of { angle, level } from 0 to 180°;
+// levels are in dB relative to the axis and the plot shows the top POLAR_RANGE dB
+function drawPolarChart(canvas, options) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
     
-    // Generate button
-    document.getElementById('generateBtn').addEventListener('click', generateHorn);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    
+    const centerX = width / 2;
+    const centerY = height / 2 + 10;
+    const radius = Math.min(width, height - 20) / 2 - 25;
+    const toPoint = (angle, level, side) => {
+        const r = radius * Math.max(0, 1 + level / POLAR_RANGE);
+        const a = angle * Math.PI / 180;
+        return [centerX + side * r * Math.sin(a), centerY - r * Math.cos(a)];
+    };
+    
+    // Level circles and angle spokes
+    ctx.font = '11px sans-serif';
+    ctx.strokeStyle = '#dee2e6';
+    ctx.fillStyle = '#6c757d';
+    ctx.lineWidth = 1;
+    
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    for (let level = 0; level > -POLAR_RANGE; level -= POLAR_STEP) {
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius * (1 + level / POLAR_RANGE), 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.fillText(level + ' dB', centerX + 3, centerY - radius * (1 + level / POLAR_RANGE));
+    }
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let angle = 0; angle <= 180; angle += 30) {
+        for (const side of angle === 0 || angle === 180 ? [1] : [1, -1]) {
+            const [x, y] = toPoint(angle, 0, side);
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.lineTo(x, y);
+            ctx.stroke();
+            // Labels sit 14 px outside the 0 dB circle
+            const [labelX, labelY] = toPoint(angle, POLAR_RANGE * 14 / radius, side);
+            ctx.fillText(angle + '°', labelX, labelY);
+        }
+    }
+    
+    // Responses, mirrored to the left of the axis
+    ctx.lineWidth = 2;
+    for (const series of options.series) {
+        const outline = [
+            ...series.points.map(p => toPoint(p.angle, p.level, 1)),
+            ...series.points.slice().reverse().map(p => toPoint(p.angle, p.level, -1))
+        ];
+        ctx.strokeStyle = series.color;
+        ctx.beginPath();
+        outline.forEach(([x, y], i) => {
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
     
-    // Download button
-    document.getElementById('downloadBtn').addEventListener('click', downloadSTL);
+    // Legend
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    let legendX = 10;
+    for (const series of options.series) {
+        ctx.fillStyle = series.color;
+        ctx.fillRect(legendX, 8, 12, 3);
+        ctx.fillStyle = '#495057';
+        ctx.fillText(series.label, legendX + 16, 10);
+        legendX += ctx.measureText(series.label).width + 32;
+    }
 }
 
-// Update calculated length based on target frequency
-function updateCalculatedLength() {
-    const targetFreq = parseFloat(document.getElementById('targetFrequency').value);
-    const throatDiameter = parseFloat(document.getElementById('throatDiameter').value);
-    const mouthDiameter = parseFloat(document.getElementById('mouthDiameter').value);
+// Draw line series on a canvas chart with labelled axes and a legend
+// xScale is 'log' or 'linear'; the y range fits the data unless yMin/yMax are given
+function drawChart(canvas, options) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    
+    const margin = { top: 25, right: 15, bottom: 40, left: 55 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    
+    // Data ranges
+    const allPoints = options.series.flatMap(series => series.points);
+    const xMin = options.xMin !== undefined ? options.xMin : Math.min(...allPoints.map(p => p.x));
+    const xMax = options.xMax !== undefined ? options.xMax : Math.max(...allPoints.map(p => p.x));
+    const yTicks = niceTicks(
+        options.yMin !== undefined ? options.yMin : Math.min(...allPoints.map(p => p.y)),
+        options.yMax !== undefined ? options.yMax : Math.max(...allPoints.map(p => p.y))
+    );
+    const yMin = yTicks[0];
+    const yMax = yTicks[yTicks.length - 1];
+    
+    const isLog = options.xScale === 'log';
+    const toX = x => margin.left + plotWidth * (isLog
+        ? Math.log(x / xMin) / Math.log(xMax / xMin)
+        : (x - xMin) / (xMax - xMin));
+    const toY = y => margin.top + plotHeight * (1 - (y - yMin) / (yMax - yMin));
+    const xTicks = isLog ? logTicks(xMin, xMax) : niceTicks(xMin, xMax);
+    
+    // Grid and tick labels
+    ctx.font = '11px sans-serif';
+    ctx.strokeStyle = '#dee2e6';
+    ctx.fillStyle = '#6c757d';
+    ctx.lineWidth = 1;
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const tick of xTicks) {
+        const x = toX(tick);
+        ctx.beginPath();
+        ctx.moveTo(x, margin.top);
+        ctx.lineTo(x, margin.top + plotHeight);
+        ctx.stroke();
+        ctx.fillText(formatTick(tick), x, margin.top + plotHeight + 5);
+    }
+    
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (const tick of yTicks) {
+        const y = toY(tick);
+        ctx.beginPath();
+        ctx.moveTo(margin.left, y);
+        ctx.lineTo(margin.left + plotWidth, y);
+        ctx.stroke();
+        ctx.fillText(formatTick(tick), margin.left - 5, y);
+    }
+    
+    // Axis labels
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(options.xLabel, margin.left + plotWidth / 2, height - 4);
+    ctx.save();
+    ctx.translate(12, margin.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(options.yLabel, 0, 0);
+    ctx.restore();
     
-    // Speed of sound in mm/s
-    const speedOfSound = 343000; // mm/s
+    // Series lines, clipped to the plot area
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(margin.left, margin.top, plotWidth, plotHeight);
+    ctx.clip();
+    ctx.lineWidth = 2;
+    for (const series of options.series) {
+        ctx.strokeStyle = series.color;
+        ctx.globalAlpha = series.opacity !== undefined ? series.opacity : 1;
+        ctx.beginPath();
+        series.points.forEach((p, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(p.x), toY(p.y));
+            } else {
+                ctx.lineTo(toX(p.x), toY(p.y));
+            }
+        });
+        ctx.stroke();
+    }
+    ctx.restore();
     
-    // Calculate wavelength
-    const wavelength = speedOfSound / targetFreq;
+    // Legend
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    let legendX = margin.left;
+    for (const series of options.series) {
+        ctx.fillStyle = series.color;
+        ctx.fillRect(legendX, 8, 12, 3);
+        ctx.fillStyle = '#495057';
+        ctx.fillText(series.label, legendX + 16, 10);
+        legendX += ctx.measureText(series.label).width + 32;
+    }
+}
+
+// Round tick values covering a range
+function niceTicks(min, max) {
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
     
-    // For exponential horn, calculate length based on expansion
-    const expansionRatio = mouthDiameter / throatDiameter;
-    const length = (wavelength / 4) * Math.log(expansionRatio);
+    const rawStep = (max - min) / 5;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rawStep);
+    const ticks = [];
     
-    const calculatedLength = Math.max(50, Math.min(2000, Math.round(length)));
-    document.getElementById('hornLength').value = calculatedLength;
-    document.getElementById('hornLengthValue').textContent = calculatedLength + ' mm';
+    for (let tick = Math.floor(min / step) * step; tick < max + step * 0.999; tick += step) {
+        ticks.push(Number(tick.toPrecision(12)));
+    }
+    return ticks;
 }
 
-// Calculate horn profile points
-function calculateHornProfile(type, throatRadius, mouthRadius, length, segments) {
-    const points = [];
+// 1-2-5 ticks for a logarithmic axis
+function logTicks(min, max) {
+    const ticks = [];
     
-    if (type === 'exponential') {
-        // Exponential horn: r(x) = r0 * exp(mx)
-        // where m is the flare constant
-        const flareConstant = Math.log(mouthRadius / throatRadius) / length;
-        
-        for (let i = 0; i <= segments; i++) {
-            const x = (i / segments) * length;
-            const r = throatRadius * Math.exp(flareConstant * x);
-            points.push({ x, r });
-        }
-    } else if (type === 'tractrix') {
-        // Tractrix horn - a compromise between exponential and conical
-        // Uses a modified exponential with smoothing factor
-        const expansionRatio = mouthRadius / throatRadius;
-        
-        for (let i = 0; i <= segments; i++) {
-            const x = (i / segments) * length;
-            const t = x / length; // Normalized position (0 to 1)
-            
-            // Base exponential expansion
-            const baseR = throatRadius * Math.exp(t * Math.log(expansionRatio));
-            
-            // Apply tractrix-like smoothing to reduce flare at the mouth
-            // This creates a more gradual transition at the throat
-            const smoothingFactor = 0.3;
-            const tractrixModifier = Math.sqrt(1 + (x / (length * smoothingFactor)) ** 2);
-            const adjustedR = baseR / Math.pow(tractrixModifier, smoothingFactor);
-            
-            // Clamp to valid range
-            const r = Math.max(throatRadius, Math.min(mouthRadius, adjustedR));
-            points.push({ x, r });
+    for (let decade = Math.pow(10, Math.floor(Math.log10(min))); decade <= max; decade *= 10) {
+        for (const factor of [1, 2, 5]) {
+            const tick = decade * factor;
+            if (tick >= min && tick <= max) {
+                ticks.push(tick);
+            }
         }
     }
-    
-    return points;
+    return ticks;
 }
 
-// Generate horn geometry
-function generateHorn() {
+// Format a tick value compactly (1000 → 1k)
+function formatTick(value) {
+    if (Math.abs(value) >= 1000) {
+        return (value / 1000) + 'k';
+    }
+    return String(value);
+}
+
+// Download the current mesh in the selected format
+async function downloadMesh() {
+    if (!currentMesh) {
+        alert('Please generate a horn first');
+        return;
+    }
+    
+    // A mesh that fails its check is only written when asked for explicitly
+    if (!currentMeshReport.valid && !confirm('The mesh failed its check and may not print:\n' +
+        meshProblems(currentMeshReport).join('\n') + '\n\nDownload it anyway?')) {
+        return;
+    }
+    
     try {
-        // Get parameters
-        const hornType = document.getElementById('hornType').value;
-        const throatDiameter = parseFloat(document.getElementById('throatDiameter').value);
-        const mouthDiameter = parseFloat(document.getElementById('mouthDiameter').value);
-        const targetFrequency = parseFloat(document.getElementById('targetFrequency').value);
-        const hornLength = parseFloat(document.getElementById('hornLength').value);
-        const segments = parseInt(document.getElementById('segments').value);
-        
-        const throatRadius = throatDiameter / 2;
-        const mouthRadius = mouthDiameter / 2;
+        // The file shown in the summary is usually written already
+        const format = document.getElementById('meshFormat').value;
+        const { data } = currentMeshExport && currentMeshExport.format === format && currentMeshExport.units === displayUnits
+            ? currentMeshExport
+            : await requestModel('meshFile', { format, units: displayUnits });
+        const { extension, mimeType } = MESH_FORMATS[format];
         
-        // Calculate horn profile
-        const profilePoints = calculateHornProfile(hornType, throatRadius, mouthRadius, hornLength, segments);
+        downloadBlob(data, 'horn.' + extension, mimeType);
         
-        // Update info panel
-        updateInfoPanel(hornType, throatRadius, mouthRadius, hornLength, targetFrequency);
-        
-        // Try to use OpenCascade if available, otherwise use Three.js fallback
-        if (oc) {
-            // Create horn shape using OpenCascade
-            const shape = createHornShape(profilePoints);
-            
-            if (shape) {
-                currentShape = shape;
-                renderShape(shape);
-                document.getElementById('downloadBtn').disabled = false;
-            } else {
-                // Fallback to Three.js rendering
-                console.warn('OpenCascade shape creation failed, using Three.js fallback');
-                renderHornWithThreeJS(profilePoints);
-                document.getElementById('downloadBtn').disabled = false;
-            }
-        } else {
-            // Use Three.js fallback
-            console.warn('OpenCascade not available, using Three.js fallback');
-            renderHornWithThreeJS(profilePoints);
-            document.getElementById('downloadBtn').disabled = false;
-        }
+        console.log(`${format.toUpperCase()} downloaded successfully`);
     } catch (error) {
-        console.error('Error generating horn:', error);
-        alert('Error generating horn. Please check your parameters.');
+        console.error('Error with mesh export:', error);
+        alert('Error exporting mesh. Please try again.');
     }
 }
 
-// Create horn shape using OpenCascade
-function createHornShape(profilePoints) {
+// Download the exact B-rep in the selected CAD exchange format
+async function downloadCAD() {
+    if (!currentSolid) {
+        alert('CAD export needs an OpenCascade model. Please generate a horn first.');
+        return;
+    }
+    
     try {
-        // Create edges for the profile (horn surface)
-        const profileEdges = [];
-        
-        for (let i = 0; i < profilePoints.length - 1; i++) {
-            const pt1 = profilePoints[i];
-            const pt2 = profilePoints[i + 1];
-            
-            const p1 = new oc.gp_Pnt_3(pt1.x, pt1.r, 0);
-            const p2 = new oc.gp_Pnt_3(pt2.x, pt2.r, 0);
-            
-            const edge = new oc.BRepBuilderAPI_MakeEdge_3(p1, p2).Edge();
-            profileEdges.push(edge);
-        }
-        
-        // Create edges to close the profile
-        const firstPt = profilePoints[0];
-        const lastPt = profilePoints[profilePoints.length - 1];
-        
-        // Edge from throat opening to axis
-        const throatEdge = new oc.BRepBuilderAPI_MakeEdge_3(
-            new oc.gp_Pnt_3(firstPt.x, firstPt.r, 0),
-            new oc.gp_Pnt_3(firstPt.x, 0, 0)
-        ).Edge();
-        
-        // Edge along axis
-        const axisEdge = new oc.BRepBuilderAPI_MakeEdge_3(
-            new oc.gp_Pnt_3(firstPt.x, 0, 0),
-            new oc.gp_Pnt_3(lastPt.x, 0, 0)
-        ).Edge();
-        
-        // Edge from axis to mouth opening
-        const mouthEdge = new oc.BRepBuilderAPI_MakeEdge_3(
-            new oc.gp_Pnt_3(lastPt.x, 0, 0),
-            new oc.gp_Pnt_3(lastPt.x, lastPt.r, 0)
-        ).Edge();
-        
-        // Build wire from edges
-        const wireMaker = new oc.BRepBuilderAPI_MakeWire_1();
-        
-        // Add profile edges
-        for (const edge of profileEdges) {
-            wireMaker.Add_1(edge);
-        }
-        
-        // Add closing edges
-        wireMaker.Add_1(mouthEdge);
-        wireMaker.Add_1(axisEdge);
-        wireMaker.Add_1(throatEdge);
-        
-        if (!wireMaker.IsDone()) {
-            console.error('Failed to create wire');
-            return null;
-        }
-        
-        const wire = wireMaker.Wire();
-        
-        // Create face from wire
-        const faceMaker = new oc.BRepBuilderAPI_MakeFace_15(wire, false);
-        if (!faceMaker.IsDone()) {
-            console.error('Failed to create face');
-            return null;
-        }
-        const face = faceMaker.Face();
-        
-        // Revolve the profile around X-axis to create the horn
-        const axis = new oc.gp_Ax1_2(
-            new oc.gp_Pnt_3(0, 0, 0),
-            new oc.gp_Dir_4(1, 0, 0)
-        );
-        const revolve = new oc.BRepPrimAPI_MakeRevol_1(face, axis, 2 * Math.PI, false);
-        
-        if (!revolve.IsDone()) {
-            console.error('Failed to revolve face');
-            return null;
-        }
+        const format = document.getElementById('cadFormat').value;
+        const { extension, mimeType } = CAD_FORMATS[format];
+        const { data } = await requestModel('cadFile', { format });
         
-        const shape = revolve.Shape();
+        downloadBlob(data, 'horn.' + extension, mimeType);
         
-        console.log('Horn shape created successfully');
-        return shape;
+        console.log(`${format.toUpperCase()} downloaded successfully`);
     } catch (error) {
-        console.error('Error creating horn shape:', error);
-        console.error('Error details:', error.message, error.stack);
-        return null;
+        console.error('Error with CAD export:', error);
+        alert('Error exporting CAD file. Please try again.');
     }
 }
 
-// Render shape in Three.js
-function renderShape(shape) {
-    // Remove previous mesh
-    const existingMesh = scene.getObjectByName('horn');
-    if (existingMesh) {
-        scene.remove(existingMesh);
+// Save data as a file through a temporary download link
+function downloadBlob(data, filename, type) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Cut the current horn into printable sections and preview them
+async function splitForPrinting() {
+    if (!currentSolid) {
+        alert('Splitting needs an OpenCascade model. Please generate a horn first.');
+        return;
     }
     
+    const summary = document.getElementById('sectionSummary');
+    const build = currentBuild;
     try {
-        // Triangulate the shape
-        const triangulation = new oc.BRepMesh_IncrementalMesh_2(shape, 0.1, false, 0.1, false);
-        
-        // Extract mesh data
-        const vertices = [];
-        const indices = [];
-        const normals = [];
-        
-        const explorer = new oc.TopExp_Explorer_2(shape, oc.TopAbs_ShapeEnum.TopAbs_FACE, oc.TopAbs_ShapeEnum.TopAbs_SHAPE);
-        
-        while (explorer.More()) {
-            const face = oc.TopoDS.Face_1(explorer.Current());
-            const location = new oc.TopLoc_Location_1();
-            const triangulationFace = oc.BRep_Tool.Triangulation(face, location);
-            
-            if (!triangulationFace.IsNull()) {
-                const transformation = location.Transformation();
-                const nodeCount = triangulationFace.NbNodes();
-                const triangleCount = triangulationFace.NbTriangles();
-                
-                const indexOffset = vertices.length / 3;
-                
-                // Get vertices
-                for (let i = 1; i <= nodeCount; i++) {
-                    const node = triangulationFace.Node(i);
-                    const transformed = node.Transformed(transformation);
-                    vertices.push(transformed.X(), transformed.Y(), transformed.Z());
-                    normals.push(0, 0, 0); // Will be computed later
-                }
-                
-                // Get triangles
-                for (let i = 1; i <= triangleCount; i++) {
-                    const triangle = triangulationFace.Triangle(i);
-                    let i1 = triangle.Value(1) - 1 + indexOffset;
-                    let i2 = triangle.Value(2) - 1 + indexOffset;
-                    let i3 = triangle.Value(3) - 1 + indexOffset;
-                    
-                    // Check face orientation
-                    const orientation = face.Orientation_1();
-                    if (orientation === oc.TopAbs_Orientation.TopAbs_REVERSED) {
-                        [i2, i3] = [i3, i2];
-                    }
-                    
-                    indices.push(i1, i2, i3);
-                }
-            }
-            
-            explorer.Next();
-        }
-        
-        // Create Three.js geometry
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setIndex(indices);
-        geometry.computeVertexNormals();
-        
-        // Create material
-        const material = new THREE.MeshPhongMaterial({
-            color: 0x667eea,
-            specular: 0x111111,
-            shininess: 30,
-            side: THREE.DoubleSide
+        const { rings, sections } = await requestModel('split', { design: readDesignParameters() }, (text, fraction) => {
+            showModelProgress(progressText(text, fraction));
         });
+        if (build !== currentBuild) {
+            return;
+        }
         
-        // Create mesh
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.name = 'horn';
-        scene.add(mesh);
-        
-        // Add wireframe
-        const wireframeGeometry = new THREE.EdgesGeometry(geometry);
-        const wireframeMaterial = new THREE.LineBasicMaterial({ color: 0x000000, linewidth: 1, opacity: 0.1, transparent: true });
-        const wireframe = new THREE.LineSegments(wireframeGeometry, wireframeMaterial);
-        mesh.add(wireframe);
-        
-        // Center camera on the horn
-        const boundingBox = new THREE.Box3().setFromObject(mesh);
-        const center = boundingBox.getCenter(new THREE.Vector3());
-        const size = boundingBox.getSize(new THREE.Vector3());
-        
-        controls.target.copy(center);
-        camera.position.set(center.x + size.x * 1.5, center.y + size.y * 1.5, center.z + size.z * 1.5);
+        currentSections = sections;
+        renderSections(currentSections);
         
+        const petals = rings.map(ring => ring.petals).join(', ');
+        summary.textContent = `${currentSections.length} pieces in ${rings.length} rings (petals per ring: ${petals})`;
+        summary.hidden = false;
+        document.getElementById('downloadSectionsBtn').disabled = false;
     } catch (error) {
-        console.error('Error rendering shape:', error);
+        console.error('Error splitting horn:', error);
+        currentSections = null;
+        summary.hidden = true;
+        document.getElementById('downloadSectionsBtn').disabled = true;
+        alert('Error splitting horn: ' + error.message);
+    } finally {
+        showModelProgress(null);
     }
 }
 
-// Fallback: Render horn using Three.js directly (without OpenCascade)
-function renderHornWithThreeJS(profilePoints) {
-    // Remove previous mesh
-    const existingMesh = scene.getObjectByName('horn');
-    if (existingMesh) {
-        scene.remove(existingMesh);
+
+// Drop any split sections and show the whole horn again
+function clearSections() {
+    currentSections = null;
+    document.getElementById('sectionSummary').hidden = true;
+    document.getElementById('downloadSectionsBtn').disabled = true;
+}
+
+// Download every printable section as its own STL in one zip
+async function downloadSections() {
+    if (!currentSections) {
+        alert('Please split the horn into sections first');
+        return;
     }
     
     try {
-        const vertices = [];
-        const indices = [];
-        const radialSegments = 64; // Number of segments around the horn
-        
-        // Generate vertices for each profile point
-        for (let i = 0; i < profilePoints.length; i++) {
-            const point = profilePoints[i];
-            
-            for (let j = 0; j <= radialSegments; j++) {
-                const theta = (j / radialSegments) * Math.PI * 2;
-                const x = point.x;
-                const y = Math.cos(theta) * point.r;
-                const z = Math.sin(theta) * point.r;
-                
-                vertices.push(x, y, z);
-            }
-        }
+        const { data, count, problems } = await requestModel('sectionsFile', { design: readDesignParameters() }, (text, fraction) => {
+            showModelProgress(progressText(text, fraction));
+        });
         
-        // Generate indices for the triangles
-        for (let i = 0; i < profilePoints.length - 1; i++) {
-            for (let j = 0; j < radialSegments; j++) {
-                const a = i * (radialSegments + 1) + j;
-                const b = a + radialSegments + 1;
-                const c = a + 1;
-                const d = b + 1;
-                
-                // Two triangles per quad
-                indices.push(a, b, c);
-                indices.push(c, b, d);
+        if (problems.length > 0) {
+            console.warn('Section mesh check:', problems);
+            if (!confirm('Some sections failed the mesh check and may not print:\n' + problems.join('\n') + '\n\nDownload them anyway?')) {
+                return;
             }
         }
         
-        // Create geometry
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setIndex(indices);
-        geometry.computeVertexNormals();
-        
-        // Create material
-        const material = new THREE.MeshPhongMaterial({
-            color: 0x667eea,
-            specular: 0x111111,
-            shininess: 30,
-            side: THREE.DoubleSide
-        });
-        
-        // Create mesh
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.name = 'horn';
-        scene.add(mesh);
-        
-        // Add wireframe
-        const wireframeGeometry = new THREE.EdgesGeometry(geometry);
-        const wireframeMaterial = new THREE.LineBasicMaterial({ 
-            color: 0x000000, 
-            linewidth: 1, 
-            opacity: 0.1, 
-            transparent: true 
-        });
-        const wireframe = new THREE.LineSegments(wireframeGeometry, wireframeMaterial);
-        mesh.add(wireframe);
-        
-        // Store geometry for STL export
-        mesh.userData.geometry = geometry;
-        
-        // Center camera on the horn
-        const boundingBox = new THREE.Box3().setFromObject(mesh);
-        const center = boundingBox.getCenter(new THREE.Vector3());
-        const size = boundingBox.getSize(new THREE.Vector3());
-        
-        controls.target.copy(center);
-        camera.position.set(center.x + size.x * 1.5, center.y + size.y * 1.5, center.z + size.z * 1.5);
+        downloadBlob(data, 'horn_sections.zip', 'application/zip');
         
-        console.log('Horn rendered using Three.js fallback');
+        console.log(`${count} sections downloaded successfully`);
     } catch (error) {
-        console.error('Error rendering horn with Three.js:', error);
+        console.error('Error exporting sections:', error);
+        alert('Error exporting sections. Please try again.');
+    } finally {
+        showModelProgress(null);
     }
 }
 
-// Update info panel
-function updateInfoPanel(hornType, throatRadius, mouthRadius, length, targetFreq) {
-    const speedOfSound = 343000; // mm/s
-    const cutoffFreq = speedOfSound / (4 * length);
-    
-    const expansionRatio = mouthRadius / throatRadius;
-    const flareConstant = Math.log(expansionRatio) / length;
-    
-    // Calculate approximate volume (numerical integration using exponential approximation)
-    let volume = 0;
-    const steps = 100;
-    for (let i = 0; i < steps; i++) {
-        const x = (i / steps) * length;
-        const r = throatRadius * Math.exp(flareConstant * x);
-        volume += Math.PI * r * r * (length / steps);
+// Show the dimensioned profile drawing of the current horn and how many layers it stacks into
+function updateProfileDrawing() {
+    if (!currentHorn) {
+        return;
     }
-    volume = volume / 1000; // Convert to cm³
     
-    document.getElementById('cutoffFreq').textContent = cutoffFreq.toFixed(1);
-    document.getElementById('expansionRate').textContent = flareConstant.toFixed(6);
-    document.getElementById('volume').textContent = volume.toFixed(1);
-}
-
-// Download STL
-function downloadSTL() {
+    const design = readDesignParameters();
+    const buttons = ['downloadSvgBtn', 'downloadDxfBtn', 'downloadCsvBtn', 'downloadLayersBtn'];
     try {
-        // Try OpenCascade export first
-        if (currentShape && oc) {
-            downloadSTLOpenCascade();
-        } else {
-            // Fallback to Three.js export
-            downloadSTLThreeJS();
-        }
+        const drawing = createProfileDrawing(currentHorn, design.stationInterval, displayUnits);
+        const rings = createLayerRings(currentHorn.profile, currentHorn.wallThickness, design.layerThickness);
+        
+        document.getElementById('profileDrawing').innerHTML = createSVG(drawing);
+        document.getElementById('layerSummary').textContent = `${rings.length} layers`;
+        buttons.forEach(id => {
+            document.getElementById(id).disabled = false;
+        });
     } catch (error) {
-        console.error('Error downloading STL:', error);
-        alert('Error exporting STL. Please try again.');
+        console.error('Error drawing profile:', error);
+        document.getElementById('profileDrawing').innerHTML = '';
+        document.getElementById('layerSummary').textContent = '';
+        buttons.forEach(id => {
+            document.getElementById(id).disabled = true;
+        });
     }
 }
 
-// Download STL using OpenCascade
-function downloadSTLOpenCascade() {
+// Download the profile drawing as SVG or DXF, or its station table as CSV
+function downloadProfileDrawing(format) {
+    if (!currentHorn) {
+        alert('Please generate a horn first');
+        return;
+    }
+    
     try {
-        // Write STL
-        const stlWriter = new oc.StlAPI_Writer_1();
-        const filename = 'horn.stl';
-        
-        // Write to virtual filesystem
-        stlWriter.Write_2(currentShape, filename, true);
-        
-        // Read from virtual filesystem
-        const stlData = oc.FS.readFile('/' + filename);
-        
-        // Create blob and download
-        const blob = new Blob([stlData], { type: 'application/octet-stream' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        // Clean up
-        oc.FS.unlink('/' + filename);
-        
-        console.log('STL downloaded successfully (OpenCascade)');
+        const interval = readDesignParameters().stationInterval;
+        const data = format === 'csv'
+            ? createProfileCSV(currentHorn.profile, interval, displayUnits)
+            : (format === 'svg' ? createSVG : createDXF)(createProfileDrawing(currentHorn, interval, displayUnits));
+        
+        downloadBlob(data, 'horn_profile.' + format, DRAWING_FORMATS[format]);
     } catch (error) {
-        console.error('Error with OpenCascade STL export:', error);
-        throw error;
+        console.error('Error exporting profile drawing:', error);
+        alert('Error exporting profile drawing. Please check the station interval.');
     }
 }
 
-// Download STL using Three.js geometry
-function downloadSTLThreeJS() {
-    const hornMesh = scene.getObjectByName('horn');
-    
-    if (!hornMesh || !hornMesh.geometry) {
+// Download the cutting outline of every stacked layer as DXF and SVG in a zip
+function downloadLayerRings() {
+    if (!currentHorn) {
         alert('Please generate a horn first');
         return;
     }
     
     try {
-        const geometry = hornMesh.geometry;
-        
-        // Generate STL file content
-        let stlString = 'solid horn\n';
-        
-        const vertices = geometry.attributes.position.array;
-        const indices = geometry.index ? geometry.index.array : null;
-        const normals = geometry.attributes.normal.array;
-        
-        if (indices) {
-            // Indexed geometry
-            for (let i = 0; i < indices.length; i += 3) {
-                const i1 = indices[i] * 3;
-                const i2 = indices[i + 1] * 3;
-                const i3 = indices[i + 2] * 3;
-                
-                const n = i1; // Use first vertex normal for the facet
-                
-                stlString += `  facet normal ${normals[n]} ${normals[n + 1]} ${normals[n + 2]}\n`;
-                stlString += '    outer loop\n';
-                stlString += `      vertex ${vertices[i1]} ${vertices[i1 + 1]} ${vertices[i1 + 2]}\n`;
-                stlString += `      vertex ${vertices[i2]} ${vertices[i2 + 1]} ${vertices[i2 + 2]}\n`;
-                stlString += `      vertex ${vertices[i3]} ${vertices[i3 + 1]} ${vertices[i3 + 2]}\n`;
-                stlString += '    endloop\n';
-                stlString += '  endfacet\n';
-            }
-        } else {
-            // Non-indexed geometry
-            for (let i = 0; i < vertices.length; i += 9) {
-                const n = i;
-                
-                stlString += `  facet normal ${normals[n]} ${normals[n + 1]} ${normals[n + 2]}\n`;
-                stlString += '    outer loop\n';
-                stlString += `      vertex ${vertices[i]} ${vertices[i + 1]} ${vertices[i + 2]}\n`;
-                stlString += `      vertex ${vertices[i + 3]} ${vertices[i + 4]} ${vertices[i + 5]}\n`;
-                stlString += `      vertex ${vertices[i + 6]} ${vertices[i + 7]} ${vertices[i + 8]}\n`;
-                stlString += '    endloop\n';
-                stlString += '  endfacet\n';
-            }
-        }
-        
-        stlString += 'endsolid horn\n';
+        const encoder = new TextEncoder();
+        const rings = createLayerRings(currentHorn.profile, currentHorn.wallThickness, readDesignParameters().layerThickness);
+        const files = rings.flatMap(ring => {
+            const drawing = createRingDrawing(ring, displayUnits);
+            const name = 'layer' + String(ring.index).padStart(2, '0');
+            return [
+                { name: name + '.dxf', data: encoder.encode(createDXF(drawing)) },
+                { name: name + '.svg', data: encoder.encode(createSVG(drawing)) }
+            ];
+        });
         
-        // Create blob and download
-        const blob = new Blob([stlString], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'horn.stl';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadBlob(createZip(files), 'horn_layers.zip', 'application/zip');
         
-        console.log('STL downloaded successfully (Three.js)');
+        console.log(`${rings.length} layer rings downloaded successfully`);
     } catch (error) {
-        console.error('Error with Three.js STL export:', error);
-        throw error;
+        console.error('Error exporting layer rings:', error);
+        alert('Error exporting layer rings. Please check the layer thickness.');
     }
 }
 
 // Initialize Three.js OrbitControls (inline to avoid external dependency)
+// One pointer rotates, or pans with the right button or Shift; two touches pinch
+// to zoom and drag together to pan. With the canvas focused the arrow keys
+// rotate, or pan with Shift, and + and - zoom.
 THREE.OrbitControls = function(camera, domElement) {
     this.camera = camera;
     this.domElement = domElement;
     this.target = new THREE.Vector3();
     this.enableDamping = false;
     this.dampingFactor = 0.05;
+    this.minDistance = 1;
+    this.maxDistance = 5000;
     
-    let spherical = new THREE.Spherical();
-    let sphericalDelta = new THREE.Spherical();
-    let scale = 1;
-    let panOffset = new THREE.Vector3();
-    let zoomChanged = false;
+    const ROTATE_SPEED = 0.005;
+    const ZOOM_STEP = 1.05;
+    const KEY_ROTATE = 0.1;
+    const KEY_PAN = 20;
     
-    const rotateStart = new THREE.Vector2();
-    const rotateEnd = new THREE.Vector2();
-    const rotateDelta = new THREE.Vector2();
-    const panStart = new THREE.Vector2();
-    const panEnd = new THREE.Vector2();
-    const panDelta = new THREE.Vector2();
+    const spherical = new THREE.Spherical();
+    const sphericalDelta = new THREE.Spherical(0, 0, 0);
+    const panOffset = new THREE.Vector3();
     
-    const STATE = { NONE: -1, ROTATE: 0, DOLLY: 1, PAN: 2 };
-    let state = STATE.NONE;
+    // Zoom still to apply, as the log of the distance scale, so it can be damped like rotation
+    let zoomDelta = 0;
     
-    const onMouseDown = (event) => {
-        event.preventDefault();
-        if (event.button === 0) {
-            state = STATE.ROTATE;
-            rotateStart.set(event.clientX, event.clientY);
-        } else if (event.button === 2) {
-            state = STATE.PAN;
-            panStart.set(event.clientX, event.clientY);
-        }
-        domElement.addEventListener('mousemove', onMouseMove);
-        domElement.addEventListener('mouseup', onMouseUp);
+    // Pointers that are down, by id, at their last position
+    const pointers = new Map();
+    let panning = false;
+    
+    const rotate = (deltaX, deltaY) => {
+        sphericalDelta.theta -= deltaX * ROTATE_SPEED;
+        sphericalDelta.phi -= deltaY * ROTATE_SPEED;
     };
     
-    const onMouseMove = (event) => {
-        event.preventDefault();
-        if (state === STATE.ROTATE) {
-            rotateEnd.set(event.clientX, event.clientY);
-            rotateDelta.subVectors(rotateEnd, rotateStart).multiplyScalar(0.005);
-            sphericalDelta.theta -= rotateDelta.x;
-            sphericalDelta.phi -= rotateDelta.y;
-            rotateStart.copy(rotateEnd);
-        } else if (state === STATE.PAN) {
-            panEnd.set(event.clientX, event.clientY);
-            panDelta.subVectors(panEnd, panStart).multiplyScalar(0.5);
-            pan(panDelta.x, panDelta.y);
-            panStart.copy(panEnd);
+    const zoom = (scale) => {
+        zoomDelta += Math.log(scale);
+    };
+    
+    // Centre of and distance between two touches
+    const touchCentre = () => {
+        const [a, b] = pointers.values();
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, spread: Math.hypot(a.x - b.x, a.y - b.y) };
+    };
+    
+    const onPointerDown = (event) => {
+        if (pointers.size >= 2) {
+            return;
+        }
+        domElement.focus();
+        domElement.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        panning = event.button === 1 || event.button === 2 || event.shiftKey;
+    };
+    
+    const onPointerMove = (event) => {
+        const pointer = pointers.get(event.pointerId);
+        if (!pointer) {
+            return;
+        }
+        
+        if (pointers.size === 1) {
+            const deltaX = event.clientX - pointer.x;
+            const deltaY = event.clientY - pointer.y;
+            if (panning) {
+                pan(deltaX, deltaY);
+            } else {
+                rotate(deltaX, deltaY);
+            }
+            pointer.x = event.clientX;
+            pointer.y = event.clientY;
+        } else {
+            const before = touchCentre();
+            pointer.x = event.clientX;
+            pointer.y = event.clientY;
+            const after = touchCentre();
+            pan(after.x - before.x, after.y - before.y);
+            if (before.spread > 0 && after.spread > 0) {
+                zoom(before.spread / after.spread);
+            }
         }
     };
     
-    const onMouseUp = () => {
-        state = STATE.NONE;
-        domElement.removeEventListener('mousemove', onMouseMove);
-        domElement.removeEventListener('mouseup', onMouseUp);
+    const onPointerUp = (event) => {
+        pointers.delete(event.pointerId);
+        
+        // The finger left on the screen carries on rotating
+        panning = false;
     };
     
     const onMouseWheel = (event) => {
         event.preventDefault();
-        if (event.deltaY < 0) {
-            scale *= 0.95;
+        zoom(event.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP);
+    };
+    
+    const onKeyDown = (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+        
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (event.key in arrows) {
+            const [x, y] = arrows[event.key];
+            if (event.shiftKey) {
+                pan(x * KEY_PAN, y * KEY_PAN);
+            } else {
+                rotate(x * KEY_ROTATE / ROTATE_SPEED, y * KEY_ROTATE / ROTATE_SPEED);
+            }
+        } else if (event.key === '+' || event.key === '=') {
+            zoom(1 / (ZOOM_STEP * ZOOM_STEP));
+        } else if (event.key === '-' || event.key === '_') {
+            zoom(ZOOM_STEP * ZOOM_STEP);
         } else {
-            scale *= 1.05;
+            return;
         }
-        zoomChanged = true;
+        event.preventDefault();
     };
     
+    // Move the target so the scene follows the pointer
     const pan = (deltaX, deltaY) => {
         const offset = new THREE.Vector3();
         const position = camera.position.clone();
@@ -770,40 +2538,46 @@ THREE.OrbitControls = function(camera, domElement) {
         panOffset.add(v);
     };
     
+    // Drop any rotation, pan and zoom still to come, as after moving the camera directly
+    this.stop = () => {
+        sphericalDelta.set(0, 0, 0);
+        panOffset.set(0, 0, 0);
+        zoomDelta = 0;
+    };
+    
+    // Apply the movement since the last frame; with damping each frame applies
+    // dampingFactor of what is left, so the total is the same but eases out
     this.update = () => {
         const offset = new THREE.Vector3();
         const position = camera.position;
+        const step = this.enableDamping ? this.dampingFactor : 1;
         
         offset.copy(position).sub(this.target);
         spherical.setFromVector3(offset);
         
-        spherical.theta += sphericalDelta.theta;
-        spherical.phi += sphericalDelta.phi;
+        spherical.theta += sphericalDelta.theta * step;
+        spherical.phi += sphericalDelta.phi * step;
         spherical.phi = Math.max(0.01, Math.min(Math.PI - 0.01, spherical.phi));
+        spherical.radius *= Math.exp(zoomDelta * step);
+        spherical.radius = Math.max(this.minDistance, Math.min(this.maxDistance, spherical.radius));
         
-        if (zoomChanged) {
-            spherical.radius *= scale;
-            zoomChanged = false;
-            scale = 1;
-        }
-        
+        this.target.addScaledVector(panOffset, step);
         offset.setFromSpherical(spherical);
         position.copy(this.target).add(offset);
         camera.lookAt(this.target);
         
-        if (this.enableDamping) {
-            sphericalDelta.theta *= (1 - this.dampingFactor);
-            sphericalDelta.phi *= (1 - this.dampingFactor);
-        } else {
-            sphericalDelta.set(0, 0, 0);
-        }
-        
-        this.target.add(panOffset);
-        panOffset.multiplyScalar(this.enableDamping ? (1 - this.dampingFactor) : 0);
+        sphericalDelta.theta *= 1 - step;
+        sphericalDelta.phi *= 1 - step;
+        panOffset.multiplyScalar(1 - step);
+        zoomDelta *= 1 - step;
     };
     
-    domElement.addEventListener('mousedown', onMouseDown);
-    domElement.addEventListener('wheel', onMouseWheel);
+    domElement.addEventListener('pointerdown', onPointerDown);
+    domElement.addEventListener('pointermove', onPointerMove);
+    domElement.addEventListener('pointerup', onPointerUp);
+    domElement.addEventListener('pointercancel', onPointerUp);
+    domElement.addEventListener('wheel', onMouseWheel, { passive: false });
+    domElement.addEventListener('keydown', onKeyDown);
     domElement.addEventListener('contextmenu', (e) => e.preventDefault());
 };
 
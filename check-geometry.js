@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Build every horn type and mouth option and check that each mesh is a printable solid
+// Usage: node check-geometry.js
+// Meshes are swept without OpenCascade, as the CLI does by default
+
+const { HORN_TYPES, DEFAULT_DESIGN, buildHorn, meshProblems } = require('./horn-core.js');
+
+// Largest difference between the volume a mesh encloses and the material
+// volume of the horn information, as a fraction of the material volume
+const VOLUME_TOLERANCE = 0.02;
+
+// Variations on the default design; every horn type is built with each of them
+// that it supports
+const VARIANTS = [
+    { name: 'round', design: {} },
+    { name: 'elliptical', design: { mouthShape: 'elliptical' }, nonRound: true },
+    { name: 'rectangular', design: { mouthShape: 'rectangular' }, nonRound: true },
+    { name: 'superellipse', design: { mouthShape: 'superellipse', mouthExponent: 6 }, nonRound: true },
+    { name: 'rolled lip', design: { mouthTermination: 'rollback' } },
+    { name: 'baffle flange', design: { mouthTermination: 'flange' } },
+    { name: '1" throat flange', design: { throatFlange: true, flangePreset: '1in' } },
+    { name: '2" throat flange', design: { throatFlange: true, flangePreset: '2in', throatDiameter: 50.8, boltHoleCount: 4, boltCircleDiameter: 127, boltHoleDiameter: 8.5, flangeDiameter: 160, flangeThickness: 12 } }
+];
+
+// Custom horns from each of their sources
+const CUSTOM_DESIGNS = [
+    { name: 'formula', design: { customSource: 'formula' } },
+    { name: 'points', design: { customSource: 'points', customPoints: '0, 12.7\n100, 30\n200, 60\n300, 100' } }
+];
+
+// Check one design, returning its problems
+function checkDesign(design) {
+    const horn = buildHorn(design);
+    const problems = meshProblems(horn.meshReport);
+    
+    // The swept mesh has no bolt holes, so it holds their volume too
+    let materialVolume = horn.metrics.materialVolume;
+    if (horn.flange) {
+        materialVolume += horn.flange.boltHoleCount * Math.PI * (horn.flange.boltHoleDiameter / 2) ** 2 * horn.flange.thickness;
+    }
+    
+    const volume = horn.meshReport.volume;
+    if (!(volume > 0)) {
+        problems.push(`mesh volume ${volume} is not positive`);
+    } else if (Math.abs(volume - materialVolume) > VOLUME_TOLERANCE * materialVolume) {
+        problems.push(`mesh volume ${volume.toFixed(0)} mm³ differs from the material volume ${materialVolume.toFixed(0)} mm³`);
+    }
+    
+    return problems;
+}
+
+// Check every case and exit with an error if any of them fails
+function main() {
+    const cases = [];
+    for (const [type, info] of Object.entries(HORN_TYPES)) {
+        const variants = type === 'custom'
+            ? CUSTOM_DESIGNS
+            : VARIANTS.filter(variant => info.nonRound || !variant.nonRound);
+        for (const variant of variants) {
+            cases.push({ name: `${type}, ${variant.name}`, design: { ...DEFAULT_DESIGN, hornType: type, ...variant.design } });
+        }
+    }
+    
+    let failures = 0;
+    for (const { name, design } of cases) {
+        let problems;
+        try {
+            problems = checkDesign(design);
+        } catch (error) {
+            problems = [error.message];
+        }
+        
+        if (problems.length > 0) {
+            failures++;
+            console.error(`FAIL ${name}: ${problems.join(', ')}`);
+        } else {
+            console.log(`ok   ${name}`);
+        }
+    }
+    
+    console.log(`${cases.length - failures} of ${cases.length} horns passed`);
+    if (failures > 0) {
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// Generate horns from design files without the browser
+// Usage: node cli.js [--opencascade] [--format stl|obj|3mf|glb] [--out dir] [--set id=value ...] [--points file.csv] [--metrics] [--drawing] [--layers] design.json...
+
+const fs = require('fs');
+const path = require('path');
+const {
+    DESIGN_PARAMETERS, MESH_FORMATS, buildHorn, writeMeshData, meshProblems, parseDesignFile, createProfileDrawing, createProfileCSV,
+    createLayerRings, createRingDrawing, createSVG, createDXF, createZip
+} = require('./horn-core.js');
+
+const USAGE = `Usage: node cli.js [options] design.json...
+
+Writes a mesh (<design>.stl by default) for every design file, and <design>.step when OpenCascade is used.
+Stops with an error, before writing that design's files, when its mesh fails the export check.
+
+Options:
+  --opencascade     Build the solid with opencascade.js (npm install opencascade.js@2.0.0-beta.2)
+  --format <type>   Mesh format: stl (binary), obj, 3mf or glb (default: stl)
+  --out <dir>       Directory for the output files (default: next to each design)
+  --set <id=value>  Override a design value, e.g. --set wallThickness=3 or --set units=in
+  --points <file>   Make a custom horn from a CSV file of x, r profile points
+  --metrics         Print the horn metrics as JSON
+  --drawing         Also write the profile drawing (<design>.svg, .dxf) and station table (.csv)
+  --layers          Also write the stacked-layer ring outlines (<design>-layers.zip)
+  --help            Show this message`;
+
+// Read the command line into options and design file paths
+function parseArguments(args) {
+    const options = { opencascade: false, format: 'stl', out: null, overrides: {}, points: null, metrics: false, drawing: false, layers: false, files: [] };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--opencascade') {
+            options.opencascade = true;
+        } else if (arg === '--metrics') {
+            options.metrics = true;
+        } else if (arg === '--drawing') {
+            options.drawing = true;
+        } else if (arg === '--layers') {
+            options.layers = true;
+        } else if (arg === '--format') {
+            options.format = args[++i];
+            if (!(options.format in MESH_FORMATS)) {
+                throw new Error(`--format must be one of ${Object.keys(MESH_FORMATS).join(', ')}`);
+            }
+        } else if (arg === '--out') {
+            options.out = args[++i];
+            if (!options.out) {
+                throw new Error('--out needs a directory');
+            }
+        } else if (arg === '--points') {
+            options.points = args[++i];
+            if (!options.points) {
+                throw new Error('--points needs a CSV file');
+            }
+        } else if (arg === '--set') {
+            const [id, value] = parseOverride(args[++i]);
+            options.overrides[id] = value;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    
+    return options;
+}
+
+// Split an id=value override, keeping numbers and booleans typed like the design files
+function parseOverride(text) {
+    const match = /^([A-Za-z0-9]+)=(.*)$/.exec(text || '');
+    if (!match) {
+        throw new Error('--set needs id=value');
+    }
+    
+    const [, id, raw] = match;
+    if (!DESIGN_PARAMETERS.includes(id)) {
+        throw new Error(`Unknown design value ${id}`);
+    }
+    
+    if (raw === 'true' || raw === 'false') {
+        return [id, raw === 'true'];
+    }
+    return [id, raw !== '' && !isNaN(Number(raw)) ? Number(raw) : raw];
+}
+
+// Load the OpenCascade WebAssembly build from node_modules
+async function loadOpenCascade() {
+    let opencascadeWasm;
+    try {
+        opencascadeWasm = require('opencascade.js/dist/opencascade.wasm.js');
+    } catch (error) {
+        throw new Error('opencascade.js is not installed; run npm install opencascade.js@2.0.0-beta.2 or leave out --opencascade');
+    }
+    return await opencascadeWasm();
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    if (options.help || options.files.length === 0) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+    
+    const oc = options.opencascade ? await loadOpenCascade() : null;
+    const points = options.points
+        ? { hornType: 'custom', customSource: 'points', customPoints: fs.readFileSync(options.points, 'utf8') }
+        : {};
+    
+    for (const file of options.files) {
+        const design = { ...parseDesignFile(fs.readFileSync(file, 'utf8')), ...points, ...options.overrides };
+        let horn;
+        try {
+            horn = buildHorn(design, { oc });
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+        
+        if (oc && !horn.shape) {
+            throw new Error(`${file}: OpenCascade could not build the solid`);
+        }
+        
+        horn.messages.forEach(message => console.warn(`${file}: ${message}`));
+        
+        // A mesh that fails its check would print badly or not at all
+        if (!horn.meshReport.valid) {
+            throw new Error(`${file}: the mesh is not a valid solid: ${meshProblems(horn.meshReport).join(', ')}`);
+        }
+        
+        const directory = options.out || path.dirname(file);
+        const name = path.basename(file, path.extname(file));
+        fs.mkdirSync(directory, { recursive: true });
+        
+        const outputs = { [name + '.' + MESH_FORMATS[options.format].extension]: writeMeshData(horn.mesh, options.format, horn.design.units) };
+        if (horn.step) {
+            outputs[name + '.step'] = horn.step;
+        }
+        if (options.drawing) {
+            const drawing = createProfileDrawing(horn, horn.design.stationInterval, horn.design.units);
+            outputs[name + '.svg'] = createSVG(drawing);
+            outputs[name + '.dxf'] = createDXF(drawing);
+            outputs[name + '.csv'] = createProfileCSV(horn.profile, horn.design.stationInterval, horn.design.units);
+        }
+        if (options.layers) {
+            const rings = createLayerRings(horn.profile, horn.wallThickness, horn.design.layerThickness);
+            outputs[name + '-layers.zip'] = createZip(rings.flatMap(ring => {
+                const drawing = createRingDrawing(ring, horn.design.units);
+                const layerName = 'layer' + String(ring.index).padStart(2, '0');
+                return [
+                    { name: layerName + '.dxf', data: Buffer.from(createDXF(drawing)) },
+                    { name: layerName + '.svg', data: Buffer.from(createSVG(drawing)) }
+                ];
+            }));
+        }
+        
+        const written = Object.entries(outputs).map(([filename, data]) => {
+            const file = path.join(directory, filename);
+            fs.writeFileSync(file, data);
+            return file;
+        });
+        
+        if (options.metrics) {
+            console.log(JSON.stringify({ design: file, metrics: horn.metrics }, null, 2));
+        }
+        console.error(`${file}: wrote ${written.join(', ')}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
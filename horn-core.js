@@ -0,0 +1,3546 @@
+// Horn geometry, acoustics and export, free of the page and the 3D preview
+// In the browser this is a plain script loaded before app.js; in Node it is
+// loaded with require() and drives the same calculations headlessly
+
+// OpenCascade instance; the page assigns it once loaded, Node scripts pass it to buildHorn
+let oc = null;
+
+// Units lengths can be shown and exported in; designs always keep millimetres.
+// Each has its size in mm, its name in 3MF files and its DXF $INSUNITS code,
+// the decimals inputs and tables keep and the places dimensions are shown to,
+// and the units of areas and volumes shown alongside it
+const LENGTH_UNITS = {
+    mm: {
+        label: 'mm', name: 'millimeter', insunits: 4, scale: 1, decimals: 3, places: 1,
+        area: { label: 'cm²', scale: 100 }, volume: { label: 'cm³', scale: 1000 }
+    },
+    in: {
+        label: 'in', name: 'inch', insunits: 1, scale: 25.4, decimals: 5, places: 3,
+        area: { label: 'in²', scale: 645.16 }, volume: { label: 'in³', scale: 16387.064 }
+    }
+};
+
+// Dimensions each horn type derives from its own equations instead of the inputs,
+// and whether the type can flare differently horizontally and vertically
+const HORN_TYPES = {
+    exponential: { derived: [], nonRound: true },
+    conical: { derived: [], nonRound: true },
+    hypex: { derived: [], nonRound: true },
+    tractrix: { derived: ['mouthDiameter', 'hornLength'], nonRound: false },
+    os: { derived: ['mouthDiameter'], nonRound: true },
+    lecleach: { derived: ['mouthDiameter', 'hornLength'], nonRound: false },
+    custom: { derived: [], nonRound: false }
+};
+
+// Dimensions a custom horn takes from its points instead of the inputs
+const CUSTOM_POINTS_DERIVED = ['throatDiameter', 'mouthDiameter', 'hornLength'];
+
+// Names a custom profile formula r(x) can use: its variables in mm (the
+// throat and mouth radii and the horn length), constants, and functions with
+// the number of values each takes
+const FORMULA_VARIABLES = ['x', 'throat', 'mouth', 'length'];
+const FORMULA_CONSTANTS = { pi: Math.PI, e: Math.E };
+const FORMULA_FUNCTIONS = {
+    sqrt: { fn: Math.sqrt, args: 1 },
+    cbrt: { fn: Math.cbrt, args: 1 },
+    exp: { fn: Math.exp, args: 1 },
+    log: { fn: Math.log, args: 1 },
+    log10: { fn: Math.log10, args: 1 },
+    abs: { fn: Math.abs, args: 1 },
+    sin: { fn: Math.sin, args: 1 },
+    cos: { fn: Math.cos, args: 1 },
+    tan: { fn: Math.tan, args: 1 },
+    asin: { fn: Math.asin, args: 1 },
+    acos: { fn: Math.acos, args: 1 },
+    atan: { fn: Math.atan, args: 1 },
+    sinh: { fn: Math.sinh, args: 1 },
+    cosh: { fn: Math.cosh, args: 1 },
+    tanh: { fn: Math.tanh, args: 1 },
+    pow: { fn: Math.pow, args: 2 },
+    min: { fn: Math.min, args: 2 },
+    max: { fn: Math.max, args: 2 }
+};
+
+// Superellipse exponent of each mouth shape (2 is an ellipse)
+const MOUTH_SHAPE_EXPONENTS = {
+    elliptical: 2,
+    rectangular: 10
+};
+
+// Number of points used to trace a non-round cross-section
+const SECTION_POINTS = 64;
+
+// Most cross-sections a non-round solid is lofted through when no tolerance
+// picks them from the profile
+const LOFT_MAX_SECTIONS = 16;
+
+// Tolerance of B-spline fits through profile and section points
+const SPLINE_TOLERANCE = 1e-3; // mm
+
+// Frequency range of the acoustic analysis
+const ANALYSIS_MIN_FREQUENCY = 20;
+const ANALYSIS_MAX_FREQUENCY = 20000;
+const ANALYSIS_FREQUENCY_POINTS = 200;
+
+// Resolution of the directivity prediction: frequencies across the analysis
+// range, and the step of the polar angles from the axis
+const DIRECTIVITY_FREQUENCY_POINTS = 80;
+const DIRECTIVITY_ANGLE_STEP = 2.5; // degrees
+
+// Flattest mouth wavefront, so a parallel wall still gives a finite cap
+const MIN_WAVEFRONT_ANGLE = 1e-3; // radians
+
+// CAD exchange formats written from the OpenCascade B-rep
+const CAD_FORMATS = {
+    step: { extension: 'step', mimeType: 'application/step' },
+    iges: { extension: 'igs', mimeType: 'model/iges' },
+    brep: { extension: 'brep', mimeType: 'application/octet-stream' }
+};
+
+// Throat flange presets for common compression driver bolt patterns
+const FLANGE_PRESETS = {
+    '1in': { throatDiameter: 25.4, boltHoleCount: 2, boltCircleDiameter: 76.2, boltHoleDiameter: 6.5, flangeDiameter: 100, flangeThickness: 8 },
+    '1.4in': { throatDiameter: 35.6, boltHoleCount: 4, boltCircleDiameter: 101.6, boltHoleDiameter: 6.5, flangeDiameter: 130, flangeThickness: 10 },
+    '2in': { throatDiameter: 50.8, boltHoleCount: 4, boltCircleDiameter: 127, boltHoleDiameter: 8.5, flangeDiameter: 160, flangeThickness: 12 }
+};
+
+// Inputs that make up a design, in the order they are saved
+const DESIGN_PARAMETERS = [
+    'units', 'hornType', 'flareT', 'throatAngle', 'coverageAngle', 'verticalCoverageAngle', 'osTermination',
+    'customSource', 'customFormula', 'customPoints',
+    'throatDiameter', 'mouthShape', 'mouthDiameter', 'mouthWidth', 'mouthHeight', 'mouthExponent',
+    'mouthTermination', 'rollbackRadius', 'rollbackAngle', 'baffleFlangeWidth',
+    'targetFrequency', 'airTemperature', 'relativeHumidity', 'hornLength', 'segments', 'wallThickness', 'nozzleDiameter',
+    'throatFlange', 'flangePreset', 'boltHoleCount', 'boltCircleDiameter', 'boltHoleDiameter', 'flangeDiameter', 'flangeThickness',
+    'designFromTargets', 'mouthCriterion', 'maxMouthDiameter',
+    'meshTolerance', 'meshAngle', 'meshRepair',
+    'printSections', 'bedWidth', 'bedDepth', 'bedHeight', 'jointType', 'boltTabs',
+    'stationInterval', 'layerThickness',
+    'radiationLoad'
+];
+
+// Values of a new design, matching the initial values of the page's inputs
+const DEFAULT_DESIGN = {
+    units: 'mm',
+    hornType: 'exponential',
+    flareT: 0.7,
+    throatAngle: 10,
+    coverageAngle: 90,
+    verticalCoverageAngle: 40,
+    osTermination: 0.5,
+    customSource: 'formula',
+    customFormula: 'throat * exp(log(mouth / throat) * x / length)',
+    customPoints: '',
+    throatDiameter: 25.4,
+    mouthShape: 'round',
+    mouthDiameter: 200,
+    mouthWidth: 300,
+    mouthHeight: 150,
+    mouthExponent: 4,
+    mouthTermination: 'none',
+    rollbackRadius: 25,
+    rollbackAngle: 180,
+    baffleFlangeWidth: 30,
+    targetFrequency: 500,
+    airTemperature: 20,
+    relativeHumidity: 50,
+    hornLength: 300,
+    segments: 50,
+    wallThickness: 3,
+    nozzleDiameter: 0.4,
+    throatFlange: false,
+    flangePreset: '1in',
+    boltHoleCount: 2,
+    boltCircleDiameter: 76.2,
+    boltHoleDiameter: 6.5,
+    flangeDiameter: 100,
+    flangeThickness: 8,
+    designFromTargets: false,
+    mouthCriterion: 1,
+    maxMouthDiameter: 300,
+    meshTolerance: 0.1,
+    meshAngle: 5,
+    meshRepair: true,
+    printSections: false,
+    bedWidth: 220,
+    bedDepth: 220,
+    bedHeight: 250,
+    jointType: 'pins',
+    boltTabs: false,
+    stationInterval: 10,
+    layerThickness: 18,
+    radiationLoad: 'baffle'
+};
+
+// Accepted range of each number in a design, matching the limits of the page's inputs
+const DESIGN_LIMITS = {
+    flareT: { min: 0, max: 100 },
+    throatAngle: { min: 0, max: 45 },
+    coverageAngle: { min: 20, max: 170 },
+    verticalCoverageAngle: { min: 20, max: 170 },
+    osTermination: { min: 0, max: 2 },
+    throatDiameter: { min: 5, max: 100 },
+    mouthDiameter: { min: 50, max: 1000 },
+    mouthWidth: { min: 50, max: 1000 },
+    mouthHeight: { min: 50, max: 1000 },
+    mouthExponent: { min: 2, max: 20 },
+    rollbackRadius: { min: 2, max: 200 },
+    rollbackAngle: { min: 90, max: 270 },
+    baffleFlangeWidth: { min: 5, max: 200 },
+    targetFrequency: { min: 20, max: 20000 },
+    airTemperature: { min: -30, max: 50 },
+    relativeHumidity: { min: 0, max: 100 },
+    hornLength: { min: 50, max: 2000 },
+    segments: { min: 10, max: 200, integer: true },
+    wallThickness: { min: 0.8, max: 20 },
+    nozzleDiameter: { min: 0.1, max: 2 },
+    boltHoleCount: { min: 2, max: 4, integer: true },
+    boltCircleDiameter: { min: 20, max: 300 },
+    boltHoleDiameter: { min: 2, max: 20 },
+    flangeDiameter: { min: 30, max: 400 },
+    flangeThickness: { min: 2, max: 40 },
+    mouthCriterion: { min: 0.25, max: 1.5 },
+    maxMouthDiameter: { min: 50, max: 2000 },
+    meshTolerance: { min: 0.01, max: 2 },
+    meshAngle: { min: 1, max: 45 },
+    bedWidth: { min: 50, max: 1000 },
+    bedDepth: { min: 50, max: 1000 },
+    bedHeight: { min: 50, max: 1000 },
+    stationInterval: { min: 1 },
+    layerThickness: { min: 1 }
+};
+
+// Design values that are lengths, in millimetres
+const LENGTH_PARAMETERS = [
+    'throatDiameter', 'mouthDiameter', 'mouthWidth', 'mouthHeight', 'rollbackRadius', 'baffleFlangeWidth',
+    'hornLength', 'wallThickness', 'nozzleDiameter', 'boltCircleDiameter', 'boltHoleDiameter', 'flangeDiameter',
+    'flangeThickness', 'maxMouthDiameter', 'meshTolerance', 'bedWidth', 'bedDepth', 'bedHeight',
+    'stationInterval', 'layerThickness'
+];
+
+// Values a design can pick from a list
+const DESIGN_CHOICES = {
+    units: Object.keys(LENGTH_UNITS),
+    hornType: Object.keys(HORN_TYPES),
+    customSource: ['formula', 'points'],
+    mouthShape: ['round', 'elliptical', 'rectangular', 'superellipse'],
+    mouthTermination: ['none', 'rollback', 'flange'],
+    flangePreset: [...Object.keys(FLANGE_PRESETS), 'custom'],
+    jointType: ['pins', 'lip', 'none'],
+    radiationLoad: ['baffle', 'freespace']
+};
+
+// Design values that only shape some designs; the rest are always in use
+const DESIGN_VALUE_CONDITIONS = {
+    flareT: design => design.hornType === 'hypex' || design.hornType === 'lecleach',
+    throatAngle: design => design.hornType === 'os',
+    coverageAngle: design => design.hornType === 'os',
+    verticalCoverageAngle: design => design.hornType === 'os' && design.mouthShape !== 'round',
+    osTermination: design => design.hornType === 'os',
+    customSource: design => design.hornType === 'custom',
+    customFormula: design => design.hornType === 'custom' && design.customSource === 'formula',
+    customPoints: design => design.hornType === 'custom' && design.customSource === 'points',
+    mouthDiameter: design => design.mouthShape === 'round',
+    mouthWidth: design => design.mouthShape !== 'round',
+    mouthHeight: design => design.mouthShape !== 'round',
+    mouthExponent: design => design.mouthShape === 'superellipse',
+    rollbackRadius: design => design.mouthShape === 'round' && design.mouthTermination === 'rollback',
+    rollbackAngle: design => design.mouthShape === 'round' && design.mouthTermination === 'rollback',
+    baffleFlangeWidth: design => design.mouthShape === 'round' && design.mouthTermination === 'flange',
+    boltHoleCount: design => Boolean(design.throatFlange),
+    boltCircleDiameter: design => Boolean(design.throatFlange),
+    boltHoleDiameter: design => Boolean(design.throatFlange),
+    flangeDiameter: design => Boolean(design.throatFlange),
+    flangeThickness: design => Boolean(design.throatFlange),
+    mouthCriterion: design => Boolean(design.designFromTargets),
+    maxMouthDiameter: design => Boolean(design.designFromTargets),
+    bedWidth: design => Boolean(design.printSections),
+    bedDepth: design => Boolean(design.printSections),
+    bedHeight: design => Boolean(design.printSections)
+};
+
+// A printed wall needs at least this many nozzle-wide perimeters to be solid
+const MIN_WALL_PERIMETERS = 2;
+
+// Note on meshes swept without OpenCascade, which cannot drill the flange
+const FLANGE_HOLES_NOTE = 'Without OpenCascade the throat flange has no bolt holes; drill them after printing.';
+
+// Number of points around the horn in the pure JavaScript mesh; exported
+// meshes pick their own count within the limits from the tolerance
+const MESH_RADIAL_SEGMENTS = 64;
+const MESH_RADIAL_SEGMENTS_MIN = 16;
+const MESH_RADIAL_SEGMENTS_MAX = 720;
+
+// Vertices closer than this are joined when welding a tessellation, and
+// triangles smaller than this have no area to speak of
+const MESH_WELD_TOLERANCE = 1e-4; // mm
+const MESH_DEGENERATE_AREA = 1e-8; // mm²
+
+// Triangle mesh file formats
+const MESH_FORMATS = {
+    stl: { extension: 'stl', mimeType: 'model/stl' },
+    obj: { extension: 'obj', mimeType: 'model/obj' },
+    '3mf': { extension: '3mf', mimeType: 'model/3mf' },
+    glb: { extension: 'glb', mimeType: 'model/gltf-binary' }
+};
+
+// Design file format; files from a newer version are refused
+const DESIGN_FILE_FORMAT = 'horngen-design';
+const DESIGN_FILE_VERSION = 1;
+
+// Layers of the 2D drawings: stroke colour, width and dash pattern in mm for
+// SVG, and the AutoCAD colour index for DXF
+const DRAWING_LAYERS = {
+    OUTLINE: { color: '#000000', width: 0.35, aci: 7 },
+    CENTERLINE: { color: '#c92a2a', width: 0.18, dash: '8 2 2 2', aci: 1 },
+    STATIONS: { color: '#868e96', width: 0.18, aci: 8 },
+    DIMENSIONS: { color: '#1c7ed6', width: 0.18, aci: 5 },
+    NOTES: { color: '#000000', width: 0.18, aci: 7 }
+};
+
+// Blank space around an SVG drawing, which also leaves room for its text
+const DRAWING_MARGIN = 20; // mm
+
+// Fixed sizes of the joints between printed sections
+const SECTION_JOINT = {
+    tabThickness: 6, // each side of the cut
+    tabWidth: 24,
+    tabDepth: 14, // beyond the outer wall
+    pinDiameter: 4,
+    pinLength: 5, // into the neighbouring piece
+    boltDiameter: 3.4, // M3 clearance
+    lipLength: 8,
+    clearance: 0.2,
+    maxPetals: 24
+};
+
+// Turn design values, with diameters as entered, into the parameters the
+// profile calculations work with
+function hornParametersFromDesign(design) {
+    const value = id => parseFloat(design[id]);
+    
+    return {
+        type: design.hornType,
+        throatRadius: value('throatDiameter') / 2,
+        mouthRadius: value('mouthDiameter') / 2,
+        length: value('hornLength'),
+        segments: parseInt(design.segments),
+        cutoffFrequency: value('targetFrequency'),
+        flareT: value('flareT'),
+        throatAngle: value('throatAngle'),
+        coverageAngle: value('coverageAngle'),
+        osTermination: value('osTermination'),
+        mouthShape: design.mouthShape,
+        mouthWidth: value('mouthWidth'),
+        mouthHeight: value('mouthHeight'),
+        verticalCoverageAngle: value('verticalCoverageAngle'),
+        mouthExponent: value('mouthExponent'),
+        customSource: design.customSource,
+        customFormula: design.customFormula,
+        customPoints: design.customPoints,
+        speedOfSound: speedOfSound(value('airTemperature'), value('relativeHumidity'))
+    };
+}
+
+// Speed of sound in air in mm/s, from the temperature in °C and the relative
+// humidity in %: c = 331.4 + 0.6·T + 0.0124·RH m/s
+function speedOfSound(temperature, humidity) {
+    return (331.4 + 0.6 * temperature + 0.0124 * humidity) * 1000;
+}
+
+// A length in millimetres written in a unit of LENGTH_UNITS, for messages
+function formatLength(value, units) {
+    const unit = LENGTH_UNITS[units] || LENGTH_UNITS.mm;
+    return `${Number((value / unit.scale).toPrecision(4))} ${unit.label}`;
+}
+
+// Dimensions a design takes from its profile instead of its inputs
+function derivedDimensions(design) {
+    if (design.hornType === 'custom' && design.customSource === 'points') {
+        return CUSTOM_POINTS_DERIVED;
+    }
+    return HORN_TYPES[design.hornType].derived;
+}
+
+// Throat diameter, mouth diameter and length of a custom horn drawn from
+// points, as design values; other designs give none
+function customDimensions(design) {
+    if (design.hornType !== 'custom' || design.customSource !== 'points') {
+        return {};
+    }
+    
+    const points = parseProfilePoints(design.customPoints);
+    const mouth = points[points.length - 1];
+    return { throatDiameter: points[0].r * 2, mouthDiameter: mouth.r * 2, hornLength: mouth.x };
+}
+
+// Throat flange of a design, or null when it has none
+function flangeFromDesign(design) {
+    if (!design.throatFlange) {
+        return null;
+    }
+    
+    return {
+        diameter: parseFloat(design.flangeDiameter),
+        thickness: parseFloat(design.flangeThickness),
+        boltCircleDiameter: parseFloat(design.boltCircleDiameter),
+        boltHoleCount: parseInt(design.boltHoleCount),
+        boltHoleDiameter: parseFloat(design.boltHoleDiameter)
+    };
+}
+
+// Mouth termination of a design, or null for a plain mouth
+// Terminations are part of the revolved wall, so only round mouths have them
+function terminationFromDesign(design) {
+    const type = design.mouthTermination;
+    if (type === 'none' || design.mouthShape !== 'round') {
+        return null;
+    }
+    
+    const termination = {
+        type,
+        radius: parseFloat(design.rollbackRadius),
+        angle: parseFloat(design.rollbackAngle) * Math.PI / 180,
+        flangeWidth: parseFloat(design.baffleFlangeWidth)
+    };
+    
+    return termination;
+}
+
+// Printer bed and joint settings of a design
+function printSettingsFromDesign(design) {
+    return {
+        bedWidth: parseFloat(design.bedWidth),
+        bedDepth: parseFloat(design.bedDepth),
+        bedHeight: parseFloat(design.bedHeight),
+        jointType: design.jointType,
+        boltTabs: Boolean(design.boltTabs)
+    };
+}
+
+// Tessellation tolerance of a design, for meshing the OpenCascade solid
+function meshToleranceFromDesign(design) {
+    return {
+        linear: parseFloat(design.meshTolerance),
+        angular: parseFloat(design.meshAngle) * Math.PI / 180
+    };
+}
+
+// Fill in the mouth size and length of a design from its acoustic targets
+// Returns the solved design with any notes or warnings about it
+function solveDesignTargets(design) {
+    const params = hornParametersFromDesign(design);
+    const printableLimit = parseFloat(design.maxMouthDiameter);
+    const wallThickness = parseFloat(design.wallThickness);
+    const solved = { ...design };
+    const messages = [];
+    
+    try {
+        const solution = solveDesignFromTargets(params, parseFloat(design.mouthCriterion));
+        let mouthSpan = solution.mouthRadius * 2;
+        
+        if (solution.length !== null) {
+            solved.hornLength = roundTenth(solution.length);
+        }
+        
+        if (params.mouthShape === 'round') {
+            solved.mouthDiameter = roundTenth(mouthSpan);
+        } else {
+            // Keep the aspect ratio, scaling to a mouth of the same equivalent area
+            const scale = mouthSpan / Math.sqrt(params.mouthWidth * params.mouthHeight);
+            solved.mouthWidth = roundTenth(params.mouthWidth * scale);
+            solved.mouthHeight = roundTenth(params.mouthHeight * scale);
+            mouthSpan = Math.max(params.mouthWidth, params.mouthHeight) * scale;
+        }
+        
+        if (solution.note) {
+            messages.push(solution.note);
+        }
+        if (mouthSpan + 2 * wallThickness > printableLimit) {
+            messages.push(`This design needs a ${formatLength(mouthSpan + 2 * wallThickness, design.units)} mouth, ` +
+                `larger than the ${formatLength(printableLimit, design.units)} printable limit.`);
+        }
+    } catch (error) {
+        messages.push(error.message);
+    }
+    
+    return { design: solved, messages };
+}
+
+// Round a dimension to a tenth of a millimetre, as the inputs show it
+function roundTenth(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Check every value of a design and the constraints between them
+// Returns a list of { id, message } naming the input each problem belongs to;
+// the list is empty when the design can be built. Values the design does not
+// use, and dimensions its horn type or targets derive, are not checked.
+function validateDesign(design) {
+    const parameters = { ...DEFAULT_DESIGN, ...design };
+    const errors = [];
+    const value = id => parseFloat(parameters[id]);
+    const inUse = id => !DESIGN_VALUE_CONDITIONS[id] || DESIGN_VALUE_CONDITIONS[id](parameters);
+    const length = mm => formatLength(mm, parameters.units);
+    
+    for (const [id, choices] of Object.entries(DESIGN_CHOICES)) {
+        if (!choices.includes(String(parameters[id]))) {
+            errors.push({ id, message: `Choose one of ${choices.join(', ')}` });
+        }
+    }
+    if (errors.some(error => error.id === 'hornType' || error.id === 'mouthShape')) {
+        return errors;
+    }
+    
+    const type = parameters.hornType;
+    const designMode = Boolean(parameters.designFromTargets);
+    const derived = id => derivedDimensions(parameters).includes(id) ||
+        (designMode && ['mouthDiameter', 'mouthWidth', 'mouthHeight', 'hornLength'].includes(id));
+    
+    // A custom profile has to read cleanly; points also give the throat, mouth and length
+    const customSource = parameters.customSource === 'points' ? 'customPoints' : 'customFormula';
+    if (type === 'custom') {
+        try {
+            Object.assign(parameters, customDimensions(parameters));
+            if (customSource === 'customFormula') {
+                compileFormula(parameters.customFormula, FORMULA_VARIABLES);
+            }
+        } catch (error) {
+            errors.push({ id: customSource, message: error.message });
+        }
+        if (designMode) {
+            errors.push({ id: 'designFromTargets', message: 'Custom profiles are drawn as given and cannot be solved from targets' });
+        }
+    }
+    
+    for (const [id, limits] of Object.entries(DESIGN_LIMITS)) {
+        if (!inUse(id) || derived(id)) {
+            continue;
+        }
+        
+        const number = value(id);
+        const limit = LENGTH_PARAMETERS.includes(id) ? length : String;
+        if (!Number.isFinite(number)) {
+            errors.push({ id, message: 'Enter a number' });
+        } else if (limits.integer && !Number.isInteger(number)) {
+            errors.push({ id, message: 'Enter a whole number' });
+        } else if (number < limits.min || number > limits.max) {
+            errors.push({ id, message: limits.max === undefined
+                ? `Enter at least ${limit(limits.min)}`
+                : `Enter a value from ${limit(limits.min)} to ${limit(limits.max)}` });
+        }
+    }
+    if (!HORN_TYPES[type].nonRound && parameters.mouthShape !== 'round') {
+        errors.push({ id: 'mouthShape', message: 'This horn type only makes round mouths' });
+    }
+    
+    // Cross-checks only make sense between values that are themselves valid
+    const valid = id => !errors.some(error => error.id === id) && (!inUse(id) || derived(id) || Number.isFinite(value(id)));
+    const throatDiameter = value('throatDiameter');
+    
+    if (valid('throatDiameter')) {
+        const mouthIds = parameters.mouthShape === 'round' ? ['mouthDiameter'] : ['mouthWidth', 'mouthHeight'];
+        for (const id of mouthIds) {
+            if (!derived(id) && valid(id) && value(id) <= throatDiameter) {
+                errors.push({ id, message: `The mouth must be wider than the ${length(throatDiameter)} throat` });
+            }
+        }
+    }
+    
+    if (type === 'tractrix' && ['throatDiameter', 'targetFrequency', 'airTemperature', 'relativeHumidity'].every(valid)) {
+        // The tractrix mouth, 2·rm = c / (π·fc), has to be wider than the throat
+        const highestCutoff = speedOfSound(value('airTemperature'), value('relativeHumidity')) / (Math.PI * throatDiameter);
+        if (value('targetFrequency') >= highestCutoff) {
+            errors.push({ id: 'targetFrequency', message: `A tractrix with a ${length(throatDiameter)} throat needs a cutoff below ${Math.floor(highestCutoff)} Hz` });
+        }
+    }
+    
+    if (type === 'os' && valid('throatAngle') && valid('coverageAngle') && value('throatAngle') >= value('coverageAngle') / 2) {
+        errors.push({ id: 'throatAngle', message: 'The throat half-angle must be less than half the coverage angle' });
+    }
+    if (type === 'os' && inUse('verticalCoverageAngle') && valid('throatAngle') && valid('verticalCoverageAngle') &&
+        value('throatAngle') >= value('verticalCoverageAngle') / 2) {
+        errors.push({ id: 'throatAngle', message: 'The throat half-angle must be less than half the vertical coverage angle' });
+    }
+    
+    // Dimensions the horn type works out for itself must still fit the limits
+    if (errors.length === 0 && derivedDimensions(parameters).length > 0) {
+        const stations = calculateHornStations({ ...hornParametersFromDesign(parameters), segments: 1 });
+        const mouth = stations[stations.length - 1];
+        const mouthSpan = mouth.rh === undefined ? mouth.r * 2 : Math.max(mouth.rh, mouth.rv) * 2;
+        const source = type === 'custom' ? customSource : type === 'os' ? 'hornLength' : 'targetFrequency';
+        const throatLimits = DESIGN_LIMITS.throatDiameter;
+        
+        if (derived('throatDiameter') && !(throatDiameter >= throatLimits.min && throatDiameter <= throatLimits.max)) {
+            errors.push({ id: source, message: `This makes a ${length(throatDiameter)} throat, outside ${length(throatLimits.min)} to ${length(throatLimits.max)}` });
+        }
+        if (mouthSpan > DESIGN_LIMITS.mouthDiameter.max) {
+            errors.push({ id: source, message: `This makes a ${length(mouthSpan)} mouth, more than the ${length(DESIGN_LIMITS.mouthDiameter.max)} limit` });
+        }
+        if (derived('hornLength') && !designMode && mouth.x > DESIGN_LIMITS.hornLength.max) {
+            errors.push({ id: source, message: `This makes a ${length(mouth.x)} long horn, more than the ${length(DESIGN_LIMITS.hornLength.max)} limit` });
+        }
+    }
+    
+    // Designs solved from targets carry their mouth and length in the same values
+    if (designMode) {
+        for (const id of ['mouthDiameter', 'mouthWidth', 'mouthHeight', 'hornLength']) {
+            const limits = DESIGN_LIMITS[id];
+            if (inUse(id) && !HORN_TYPES[type].derived.includes(id) && !(value(id) >= limits.min && value(id) <= limits.max)) {
+                errors.push({ id: 'targetFrequency', message: `The targets call for a ${id === 'hornLength' ? 'length' : 'mouth'} of ` +
+                    `${Number.isFinite(value(id)) ? length(value(id)) : '?'}, outside ${length(limits.min)} to ${length(limits.max)}` });
+            }
+        }
+    }
+    
+    const wallThickness = value('wallThickness');
+    if (valid('wallThickness') && valid('nozzleDiameter') && wallThickness < MIN_WALL_PERIMETERS * value('nozzleDiameter')) {
+        errors.push({ id: 'wallThickness', message: `A ${length(value('nozzleDiameter'))} nozzle needs a wall of at least ` +
+            `${length(MIN_WALL_PERIMETERS * value('nozzleDiameter'))}` });
+    }
+    
+    if (inUse('rollbackRadius') && valid('rollbackRadius') && valid('wallThickness') && value('rollbackRadius') <= wallThickness) {
+        errors.push({ id: 'rollbackRadius', message: 'The roll-back radius must be larger than the wall thickness' });
+    }
+    
+    if (parameters.throatFlange && ['boltCircleDiameter', 'boltHoleDiameter', 'flangeDiameter', 'throatDiameter', 'wallThickness'].every(valid)) {
+        // The holes have to clear the throat wall and sit inside the flange
+        const boltCircle = value('boltCircleDiameter');
+        const hole = value('boltHoleDiameter');
+        if (boltCircle - hole <= throatDiameter + 2 * wallThickness) {
+            errors.push({ id: 'boltCircleDiameter', message: 'The bolt holes cut into the throat wall' });
+        } else if (errors.length === 0 && valid('flangeThickness')) {
+            // A flaring wall can reach the holes before the back of the flange
+            try {
+                const profile = calculateHornStations(hornParametersFromDesign(parameters));
+                const outer = calculateShellOutline(profile, wallThickness, null).outer;
+                if (maxSectionRadius(outer, 0, value('flangeThickness')) >= (boltCircle - hole) / 2) {
+                    errors.push({ id: 'boltCircleDiameter', message: 'The horn wall reaches the bolt holes within the flange thickness' });
+                }
+            } catch (error) {
+                // The profile's own problems are reported elsewhere
+            }
+        }
+        if (value('flangeDiameter') <= boltCircle + hole) {
+            errors.push({ id: 'flangeDiameter', message: 'The flange must reach past the bolt holes' });
+        }
+    }
+    
+    // The outer wall of a custom profile must not fold where the flare bends tighter than the wall
+    if (type === 'custom' && errors.length === 0) {
+        try {
+            const profile = calculateHornStations(hornParametersFromDesign(parameters));
+            const crossing = polylineCrossing(offsetCurve(profile, wallThickness));
+            if (crossing) {
+                errors.push({ id: customSource, message: `The ${length(wallThickness)} wall folds over itself near x = ${length(profile[crossing[0]].x)}; ` +
+                    'smooth the profile there or use a thinner wall' });
+            }
+        } catch (error) {
+            errors.push({ id: customSource, message: error.message });
+        }
+    }
+    
+    return errors;
+}
+
+// Build a horn from design values without touching the page
+// Values left out of the design take their defaults, and a design that fails
+// validateDesign is refused with an error listing its problems. With an OpenCascade
+// instance the horn is built as an exact solid; otherwise, or if the solid
+// fails, the STL comes from the pure JavaScript mesh and there is no STEP.
+// Pass `exports: false` to skip writing the STL and STEP data.
+function buildHorn(design, options = {}) {
+    let parameters = { ...DEFAULT_DESIGN, ...design };
+    let messages = [];
+    if (parameters.designFromTargets) {
+        ({ design: parameters, messages } = solveDesignTargets(parameters));
+    }
+    
+    const errors = validateDesign(parameters);
+    if (errors.length > 0) {
+        throw new Error(errors.map(error => `${error.id}: ${error.message}`).join('; '));
+    }
+    parameters = { ...parameters, ...customDimensions(parameters) };
+    
+    const params = hornParametersFromDesign(parameters);
+    const wallThickness = parseFloat(parameters.wallThickness);
+    const flange = flangeFromDesign(parameters);
+    const termination = terminationFromDesign(parameters);
+    
+    const profile = calculateHornStations(params);
+    const shellOutline = calculateShellOutline(profile, wallThickness, termination);
+    const flangeOutline = flange ? calculateFlangeOutline(params.throatRadius, flange) : null;
+    const metrics = calculateHornMetrics(profile, shellOutline, flange, params.speedOfSound);
+    
+    const horn = { design: parameters, messages, profile, shellOutline, flangeOutline, wallThickness, flange, metrics, shape: null };
+    
+    if (options.oc) {
+        oc = options.oc;
+        horn.shape = createHornShape(shellOutline, flangeOutline, flange, meshToleranceFromDesign(parameters));
+    }
+    
+    if (options.exports !== false) {
+        Object.assign(horn, prepareExportMesh(createHornMesh(horn.shape, shellOutline, flangeOutline, meshToleranceFromDesign(parameters)), parameters.meshRepair));
+        horn.stl = writeMeshData(horn.mesh, 'stl', parameters.units);
+        horn.step = horn.shape ? writeCADData(horn.shape, 'step') : null;
+        if (flange && !horn.shape) {
+            messages.push(FLANGE_HOLES_NOTE);
+        }
+    }
+    
+    return horn;
+}
+
+// Build a design once for each of evenly spaced values of one parameter
+// Returns [{ value, horn }] from the first value to the last; the horns carry no files
+function sweepDesign(design, parameter, from, to, steps) {
+    const results = [];
+    
+    for (let i = 0; i < steps; i++) {
+        const value = Number((from + (to - from) * i / (steps - 1)).toPrecision(6));
+        results.push({ value, horn: buildHorn({ ...design, [parameter]: value }, { exports: false }) });
+    }
+    return results;
+}
+
+// Wrap a design in the versioned design file format
+function createDesignFile(parameters) {
+    return {
+        format: DESIGN_FILE_FORMAT,
+        version: DESIGN_FILE_VERSION,
+        parameters
+    };
+}
+
+// Read the design values out of a design file's text
+function parseDesignFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The design file is not valid JSON');
+    }
+    
+    if (!file || file.format !== DESIGN_FILE_FORMAT || typeof file.version !== 'number' ||
+        typeof file.parameters !== 'object' || file.parameters === null) {
+        throw new Error('This is not a horn design file');
+    }
+    if (file.version > DESIGN_FILE_VERSION) {
+        throw new Error(`The design file is version ${file.version}; this generator reads up to version ${DESIGN_FILE_VERSION}`);
+    }
+    
+    const parameters = {};
+    for (const id of DESIGN_PARAMETERS) {
+        if (id in file.parameters) {
+            parameters[id] = file.parameters[id];
+        }
+    }
+    return parameters;
+}
+
+// Solve horn geometry from a cutoff frequency and a mouth criterion
+// The mouth circumference is the criterion times the cutoff wavelength, and the
+// flare is set so the area flare constant at the throat is m = 4π·fc / c.
+// Returns the mouth radius, the length (null when the type derives its own)
+// and an optional note.
+function solveDesignFromTargets(params, criterion) {
+    const { type, throatRadius, cutoffFrequency, speedOfSound } = params;
+    const flareConstant = 4 * Math.PI * cutoffFrequency / speedOfSound;
+    const mouthRadius = criterion * speedOfSound / (2 * Math.PI * cutoffFrequency);
+    
+    if (type === 'custom') {
+        throw new Error('Custom profiles are drawn as given and cannot be solved from targets.');
+    }
+    
+    if (type === 'tractrix' || type === 'lecleach') {
+        const profile = calculateHornProfile({ ...params, segments: 10 });
+        return {
+            mouthRadius: profile[profile.length - 1].r,
+            length: null,
+            note: 'Tractrix and Le Cléac\'h mouths are set by the cutoff frequency alone.'
+        };
+    }
+    
+    if (mouthRadius <= throatRadius) {
+        throw new Error('The throat is already larger than the mouth these targets call for.');
+    }
+    
+    let length;
+    if (type === 'exponential') {
+        // r = r0·exp(mx / 2)
+        length = 2 * Math.log(mouthRadius / throatRadius) / flareConstant;
+    } else if (type === 'hypex') {
+        // r = r0·(cosh(mx / 2) + T·sinh(mx / 2))
+        length = solveHypexFlare(throatRadius, mouthRadius, 1, params.flareT) * 2 / flareConstant;
+    } else if (type === 'conical') {
+        // A cone has no flare cutoff; match the area flare at the throat, 2·(dr/dx) / r0 = m
+        length = (mouthRadius - throatRadius) / (flareConstant * throatRadius / 2);
+        return {
+            mouthRadius,
+            length,
+            note: 'Conical horns have no flare cutoff; the length matches the flare at the throat.'
+        };
+    } else if (type === 'os') {
+        // Solve r(L) = rm for the waveguide curve, ignoring the mouth termination
+        const throatSlope = Math.tan(params.throatAngle * Math.PI / 180);
+        const coverageSlope = Math.tan(params.coverageAngle / 2 * Math.PI / 180);
+        const a = coverageSlope * coverageSlope;
+        const b = 2 * throatRadius * throatSlope;
+        const c = throatRadius * throatRadius - mouthRadius * mouthRadius;
+        length = (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+        return {
+            mouthRadius,
+            length,
+            note: 'OS waveguides have no flare cutoff; the length only sets the mouth size.'
+        };
+    }
+    
+    return { mouthRadius, length, note: null };
+}
+
+// Calculate the horn stations for the selected mouth shape
+// Round horns are the plain profile. Other mouths flare horizontally and
+// vertically on their own profiles, and each station also carries the
+// horizontal and vertical semi-axes (rh, rv) and the superellipse exponent (n)
+// of its cross-section; r is then the radius of a circle of equal area.
+function calculateHornStations(params) {
+    if (params.mouthShape === 'round') {
+        return calculateHornProfile(params);
+    }
+    
+    const horizontal = calculateHornProfile({ ...params, mouthRadius: params.mouthWidth / 2 });
+    const vertical = calculateHornProfile({ ...params, mouthRadius: params.mouthHeight / 2, coverageAngle: params.verticalCoverageAngle });
+    const mouthExponent = MOUTH_SHAPE_EXPONENTS[params.mouthShape] || params.mouthExponent;
+    const length = horizontal[horizontal.length - 1].x;
+    
+    return horizontal.map((point, i) => {
+        // Blend from a round throat to the mouth shape
+        const t = point.x / length;
+        const station = {
+            x: point.x,
+            rh: point.r,
+            rv: vertical[i].r,
+            n: 2 + (mouthExponent - 2) * t * t
+        };
+        station.r = Math.sqrt(sectionArea(station) / Math.PI);
+        return station;
+    });
+}
+
+// Trace the cross-section of a station as (y, z) points, vertical axis first
+// Round stations are circles, others superellipses |y/rv|^n + |z/rh|^n = 1
+function sectionOutline(station, count) {
+    const points = [];
+    
+    for (let j = 0; j < count; j++) {
+        const theta = (j / count) * Math.PI * 2;
+        const cos = Math.cos(theta);
+        const sin = Math.sin(theta);
+        
+        if (station.rh === undefined) {
+            points.push([cos * station.r, sin * station.r]);
+        } else {
+            const e = 2 / station.n;
+            points.push([
+                station.rv * Math.sign(cos) * Math.pow(Math.abs(cos), e),
+                station.rh * Math.sign(sin) * Math.pow(Math.abs(sin), e)
+            ]);
+        }
+    }
+    
+    return points;
+}
+
+// Cross-sectional area of a station
+function sectionArea(station) {
+    if (station.rh === undefined) {
+        return Math.PI * station.r * station.r;
+    }
+    
+    const outline = sectionOutline(station, SECTION_POINTS * 2);
+    let area = 0;
+    
+    for (let j = 0; j < outline.length; j++) {
+        const [y1, z1] = outline[j];
+        const [y2, z2] = outline[(j + 1) % outline.length];
+        area += y1 * z2 - y2 * z1;
+    }
+    
+    return Math.abs(area) / 2;
+}
+
+// Axial distance from the mouth of a tractrix with mouth radius rm to radius r
+function tractrixDistance(mouthRadius, r) {
+    const root = Math.sqrt(mouthRadius * mouthRadius - r * r);
+    return mouthRadius * Math.log((mouthRadius + root) / r) - root;
+}
+
+// Position along a tractrix in units of its mouth radius: the arc length from
+// the throat plus the angle turned, both as functions of the wall angle φ
+function tractrixSpacing(angle) {
+    return angle + Math.log(Math.sin(angle));
+}
+
+// Wall angle of a tractrix at a position from tractrixSpacing, by bisection
+// between the throat angle and 90°
+function solveTractrixAngle(target, throatAngle) {
+    let low = throatAngle;
+    let high = Math.PI / 2;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (tractrixSpacing(mid) < target) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+// Calculate horn profile points
+function calculateHornProfile(params) {
+    const { type, throatRadius, mouthRadius, length, segments, cutoffFrequency } = params;
+    const points = [];
+    
+    if (type === 'exponential') {
+        // Exponential horn: r(x) = r0 * exp(mx)
+        // where m is the flare constant
+        const flareConstant = Math.log(mouthRadius / throatRadius) / length;
+        
+        for (let i = 0; i <= segments; i++) {
+            const x = (i / segments) * length;
+            const r = throatRadius * Math.exp(flareConstant * x);
+            points.push({ x, r });
+        }
+    } else if (type === 'conical') {
+        // Conical horn: straight wall from throat to mouth
+        for (let i = 0; i <= segments; i++) {
+            const x = (i / segments) * length;
+            const r = throatRadius + (mouthRadius - throatRadius) * (x / length);
+            points.push({ x, r });
+        }
+    } else if (type === 'hypex') {
+        // Hyperbolic-exponential (Salmon) horn: r(x) = r0 * (cosh(mx) + T * sinh(mx))
+        // T = 1 is exponential, T = 0 catenoidal and large T approaches conical
+        const flareT = params.flareT;
+        const flareConstant = solveHypexFlare(throatRadius, mouthRadius, length, flareT);
+        
+        for (let i = 0; i <= segments; i++) {
+            const x = (i / segments) * length;
+            const r = throatRadius * (Math.cosh(flareConstant * x) + flareT * Math.sinh(flareConstant * x));
+            points.push({ x, r });
+        }
+        points[segments].r = mouthRadius;
+    } else if (type === 'tractrix') {
+        // Tractrix horn: the mouth radius follows from the cutoff frequency,
+        // rm = c / (2π·fc), and the curve measured back from the mouth is
+        // x(r) = rm·ln((rm + √(rm² − r²)) / r) − √(rm² − r²)
+        const tractrixMouthRadius = params.speedOfSound / (2 * Math.PI * cutoffFrequency);
+        if (throatRadius >= tractrixMouthRadius) {
+            throw new Error('Throat is wider than the tractrix mouth for this cutoff frequency');
+        }
+        
+        const tractrixLength = tractrixDistance(tractrixMouthRadius, throatRadius);
+        
+        // Space points evenly in arc length plus turning, so they follow the
+        // long gentle run from the throat and still close in on the mouth, where
+        // the wall turns to 90°. The wall makes the angle φ with the axis where
+        // r = rm·sin φ, and the arc length back from the mouth is s = −rm·ln(sin φ)
+        const throatWallAngle = Math.asin(throatRadius / tractrixMouthRadius);
+        const spacing = tractrixSpacing(Math.PI / 2) - tractrixSpacing(throatWallAngle);
+        
+        for (let i = 0; i <= segments; i++) {
+            const angle = i === segments
+                ? Math.PI / 2
+                : solveTractrixAngle(tractrixSpacing(throatWallAngle) + spacing * i / segments, throatWallAngle);
+            const r = i === segments ? tractrixMouthRadius : tractrixMouthRadius * Math.sin(angle);
+            const x = tractrixLength - tractrixDistance(tractrixMouthRadius, r);
+            points.push({ x, r });
+        }
+        
+        // The mouth is a cusp of the curve, so its tangent comes from the equation
+        points[segments].wallAngle = Math.PI / 2;
+    } else if (type === 'os') {
+        // Oblate-spheroidal waveguide: r(x) = √(r0² + 2·r0·x·tan(a0) + x²·tan²(a))
+        // with throat half-angle a0 and coverage half-angle a, plus a
+        // superellipse term that rolls the wall out towards the mouth
+        const throatSlope = Math.tan(params.throatAngle * Math.PI / 180);
+        const coverageSlope = Math.tan(params.coverageAngle / 2 * Math.PI / 180);
+        const rollback = params.osTermination;
+        const terminationShape = 4;
+        const terminationTruncation = 0.996;
+        
+        for (let i = 0; i <= segments; i++) {
+            const x = (i / segments) * length;
+            const osRadius = Math.sqrt(throatRadius * throatRadius + 2 * throatRadius * x * throatSlope + x * x * coverageSlope * coverageSlope);
+            const u = Math.pow(terminationTruncation * x / length, terminationShape);
+            const termination = (rollback * length / terminationTruncation) * (1 - Math.pow(1 - u, 1 / terminationShape));
+            points.push({ x, r: osRadius + termination });
+        }
+    } else if (type === 'lecleach') {
+        points.push(...calculateLeCleachProfile(throatRadius, cutoffFrequency, params.flareT, segments, params.speedOfSound));
+    } else if (type === 'custom') {
+        points.push(...calculateCustomProfile(params));
+    }
+    
+    return points;
+}
+
+// Solve the hypex flare constant m that reaches the mouth radius at the given length
+function solveHypexFlare(throatRadius, mouthRadius, length, flareT) {
+    const expansionRatio = mouthRadius / throatRadius;
+    const radiusAt = u => Math.cosh(u) + flareT * Math.sinh(u);
+    
+    // Bracket the solution, then bisect on u = m·L
+    let low = 0;
+    let high = 1;
+    while (radiusAt(high) < expansionRatio) {
+        high *= 2;
+    }
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (radiusAt(mid) < expansionRatio) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    
+    return (low + high) / 2 / length;
+}
+
+// Calculate a Le Cléac'h profile
+// The wavefront is a spherical cap meeting the wall at right angles whose area
+// follows the hypex law A(s) = A0·(cosh(ms) + T·sinh(ms))² along the wall, with
+// m = 2π·fc / c. The wall is traced until it reaches 90° at the mouth.
+function calculateLeCleachProfile(throatRadius, cutoffFrequency, flareT, segments, speedOfSound) {
+    const flareConstant = 2 * Math.PI * cutoffFrequency / speedOfSound;
+    const throatArea = Math.PI * throatRadius * throatRadius;
+    const step = 1 / (flareConstant * 4000);
+    
+    // Trace the wall in small steps along its own tangent
+    const path = [{ x: 0, r: throatRadius, s: 0 }];
+    let x = 0;
+    let r = throatRadius;
+    let s = 0;
+    let angle = 0;
+    
+    while (angle < Math.PI / 2) {
+        x += step * Math.cos(angle);
+        r += step * Math.sin(angle);
+        s += step;
+        
+        // A cap of area A meeting a wall of radius r has 1 + cos(angle) = 2πr² / A
+        const area = throatArea * Math.pow(Math.cosh(flareConstant * s) + flareT * Math.sinh(flareConstant * s), 2);
+        const cosAngle = 2 * Math.PI * r * r / area - 1;
+        angle = cosAngle >= 1 ? 0 : Math.acos(Math.max(0, cosAngle));
+        
+        path.push({ x, r, s });
+    }
+    
+    return resampleProfile(path, segments);
+}
+
+// Calculate a custom profile from its points or its formula r(x)
+// Points are resampled evenly along the wall to the segment count; a formula
+// is sampled at evenly spaced x like the other types and has to stay above
+// the axis
+function calculateCustomProfile(params) {
+    const { throatRadius, mouthRadius, length, segments } = params;
+    if (params.customSource === 'points') {
+        return resampleProfile(parseProfilePoints(params.customPoints), segments);
+    }
+    
+    const formula = compileFormula(params.customFormula, FORMULA_VARIABLES);
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        const x = (i / segments) * length;
+        const r = formula({ x, throat: throatRadius, mouth: mouthRadius, length });
+        if (!Number.isFinite(r)) {
+            throw new Error(`The formula gives no number at x = ${roundTenth(x)} mm`);
+        }
+        if (r <= 0) {
+            throw new Error(`The formula gives a radius of ${roundTenth(r)} mm at x = ${roundTenth(x)} mm; it must stay above zero`);
+        }
+        points.push({ x, r });
+    }
+    
+    return points;
+}
+
+// Read (x, r) profile points from CSV text, one point per line
+// Values can be split by commas, semicolons, tabs or spaces; blank lines,
+// lines starting with # and a header line of names are skipped. The points
+// have to stay off the axis and run from throat to mouth without turning back
+// or crossing themselves; errors name the line at fault. Returns the points
+// moved so the throat is at x = 0.
+function parseProfilePoints(text) {
+    const points = [];
+    let header = false;
+    
+    String(text || '').split(/\r?\n/).forEach((line, i) => {
+        const row = i + 1;
+        const content = line.trim();
+        if (content === '' || content.startsWith('#')) {
+            return;
+        }
+        
+        const fields = content.split(/[\s,;]+/).filter(field => field !== '');
+        const numbers = fields.map(Number);
+        if (numbers.every(Number.isFinite) && numbers.length === 2) {
+            points.push({ x: numbers[0], r: numbers[1], row });
+        } else if (points.length === 0 && !header && numbers.every(number => !Number.isFinite(number))) {
+            header = true;
+        } else {
+            throw new Error(`Line ${row}: expected two numbers, x and r`);
+        }
+    });
+    
+    if (points.length < 2) {
+        throw new Error(points.length === 0
+            ? 'Paste or upload the profile points, one x, r pair per line'
+            : 'The profile needs at least two points');
+    }
+    
+    const offAxis = points.find(point => point.r <= 0);
+    if (offAxis) {
+        throw new Error(`Line ${offAxis.row}: the radius must be above zero`);
+    }
+    
+    const turn = points.findIndex((point, i) => i > 0 && point.x <= points[i - 1].x);
+    if (turn !== -1) {
+        // A profile that turns back may also cross itself, which is worth naming
+        const crossing = polylineCrossing(points);
+        if (crossing) {
+            const [a, b] = crossing;
+            throw new Error(`Lines ${points[a].row}–${points[a + 1].row} cross lines ${points[b].row}–${points[b + 1].row}; the profile must not cross itself`);
+        }
+        throw new Error(`Line ${points[turn].row}: x goes back from ${points[turn - 1].x} to ${points[turn].x}; ` +
+            'the points must run from throat to mouth with x increasing');
+    }
+    
+    const start = points[0].x;
+    return points.map(point => ({ x: point.x - start, r: point.r }));
+}
+
+// Resample a profile to segments + 1 points spaced evenly along the wall
+// Points may carry their distance along the wall as s; otherwise it is measured
+function resampleProfile(path, segments) {
+    const distances = [0];
+    for (let i = 1; i < path.length; i++) {
+        distances.push(path[i].s !== undefined ? path[i].s : distances[i - 1] + Math.hypot(path[i].x - path[i - 1].x, path[i].r - path[i - 1].r));
+    }
+    const total = distances[distances.length - 1];
+    
+    const points = [];
+    let j = 0;
+    for (let i = 0; i <= segments; i++) {
+        const target = (i / segments) * total;
+        while (j < path.length - 2 && distances[j + 1] < target) {
+            j++;
+        }
+        const a = path[j];
+        const b = path[j + 1];
+        const t = (target - distances[j]) / (distances[j + 1] - distances[j]);
+        points.push({ x: a.x + (b.x - a.x) * t, r: a.r + (b.r - a.r) * t });
+    }
+    
+    return points;
+}
+
+// First pair of segments [i, j] of an (x, r) polyline that cross or touch,
+// or null; neighbouring segments share a point and are not counted
+function polylineCrossing(points) {
+    for (let i = 0; i < points.length - 1; i++) {
+        for (let j = i + 2; j < points.length - 1; j++) {
+            if (segmentsCross(points[i], points[i + 1], points[j], points[j + 1])) {
+                return [i, j];
+            }
+        }
+    }
+    return null;
+}
+
+// Whether segments ab and cd cross or touch
+function segmentsCross(a, b, c, d) {
+    const side = (p, q, s) => Math.sign((q.x - p.x) * (s.r - p.r) - (q.r - p.r) * (s.x - p.x));
+    const within = (p, q, s) => Math.min(p.x, q.x) <= s.x && s.x <= Math.max(p.x, q.x) &&
+        Math.min(p.r, q.r) <= s.r && s.r <= Math.max(p.r, q.r);
+    
+    const sideA = side(c, d, a);
+    const sideB = side(c, d, b);
+    const sideC = side(a, b, c);
+    const sideD = side(a, b, d);
+    if (sideA * sideB < 0 && sideC * sideD < 0) {
+        return true;
+    }
+    
+    // Ends lying on the other segment
+    return (sideA === 0 && within(c, d, a)) || (sideB === 0 && within(c, d, b)) ||
+        (sideC === 0 && within(a, b, c)) || (sideD === 0 && within(a, b, d));
+}
+
+// Compile a formula such as "throat * exp(x / 50)" into a function of its variables
+// Only numbers, the given variables, FORMULA_CONSTANTS, FORMULA_FUNCTIONS,
+// + - * / ^ and brackets are understood; nothing in the text is run as code.
+// ^ binds tighter than a leading minus, so -x^2 is -(x^2).
+function compileFormula(text, variables) {
+    const tokens = tokenizeFormula(text);
+    if (tokens.length === 0) {
+        throw new Error('Enter a formula for r(x)');
+    }
+    
+    let position = 0;
+    const peek = value => position < tokens.length && tokens[position].value === value;
+    const unexpected = token => new Error(token
+        ? `Unexpected "${token.value}" at character ${token.at}`
+        : 'The formula ends too soon');
+    const expect = value => {
+        if (!peek(value)) {
+            throw tokens[position] ? unexpected(tokens[position]) : new Error(`The formula is missing a "${value}"`);
+        }
+        position++;
+    };
+    
+    // Grammar, loosest first: sum, product, sign, power, value
+    const sum = () => {
+        let left = product();
+        while (peek('+') || peek('-')) {
+            const operator = tokens[position++].value;
+            const a = left;
+            const b = product();
+            left = operator === '+' ? v => a(v) + b(v) : v => a(v) - b(v);
+        }
+        return left;
+    };
+    const product = () => {
+        let left = sign();
+        while (peek('*') || peek('/')) {
+            const operator = tokens[position++].value;
+            const a = left;
+            const b = sign();
+            left = operator === '*' ? v => a(v) * b(v) : v => a(v) / b(v);
+        }
+        return left;
+    };
+    const sign = () => {
+        if (peek('-')) {
+            position++;
+            const operand = sign();
+            return v => -operand(v);
+        }
+        if (peek('+')) {
+            position++;
+            return sign();
+        }
+        return power();
+    };
+    const power = () => {
+        const base = value();
+        if (!peek('^')) {
+            return base;
+        }
+        position++;
+        const exponent = sign();
+        return v => Math.pow(base(v), exponent(v));
+    };
+    const value = () => {
+        const token = tokens[position++];
+        if (!token) {
+            throw unexpected(null);
+        }
+        if (token.type === 'number') {
+            const number = token.number;
+            return () => number;
+        }
+        if (token.value === '(') {
+            const inner = sum();
+            expect(')');
+            return inner;
+        }
+        if (token.type !== 'name') {
+            throw unexpected(token);
+        }
+        
+        const name = token.value;
+        if (FORMULA_FUNCTIONS.hasOwnProperty(name)) {
+            const { fn, args } = FORMULA_FUNCTIONS[name];
+            expect('(');
+            const operands = [sum()];
+            while (peek(',')) {
+                position++;
+                operands.push(sum());
+            }
+            expect(')');
+            if (operands.length !== args) {
+                throw new Error(`${name} takes ${args === 1 ? 'one value' : args + ' values'}`);
+            }
+            return v => fn(...operands.map(operand => operand(v)));
+        }
+        if (variables.includes(name)) {
+            return v => v[name];
+        }
+        if (FORMULA_CONSTANTS.hasOwnProperty(name)) {
+            const constant = FORMULA_CONSTANTS[name];
+            return () => constant;
+        }
+        throw new Error(`Unknown name "${name}"; the formula can use ${variables.join(', ')}, pi, e and functions such as sqrt and exp`);
+    };
+    
+    const formula = sum();
+    if (position < tokens.length) {
+        throw unexpected(tokens[position]);
+    }
+    return formula;
+}
+
+// Split a formula into number, name and symbol tokens, each with the
+// character it starts at (counting from 1)
+function tokenizeFormula(text) {
+    const pattern = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|([-+*/^(),]))/y;
+    const source = String(text || '');
+    const tokens = [];
+    
+    while (pattern.lastIndex < source.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(source);
+        if (!match) {
+            const at = start + source.slice(start).search(/\S/);
+            if (at < start) {
+                break;
+            }
+            throw new Error(`Unexpected "${source[at]}" at character ${at + 1}`);
+        }
+        
+        const at = match.index + match[0].length - (match[1] || match[2] || match[3]).length + 1;
+        if (match[1]) {
+            tokens.push({ type: 'number', value: match[1], number: parseFloat(match[1]), at });
+        } else if (match[2]) {
+            tokens.push({ type: 'name', value: match[2], at });
+        } else {
+            tokens.push({ type: 'symbol', value: match[3], at });
+        }
+    }
+    
+    return tokens;
+}
+
+// Calculate the wall outline around the horn profile
+// The inner curve is the flare itself, the outer curve is the flare offset
+// outward along its normal by the wall thickness; round horns can end in a
+// mouth termination
+function calculateShellOutline(profilePoints, wallThickness, termination) {
+    // Non-round stations grow both semi-axes at the same axial position
+    if (profilePoints[0].rh !== undefined) {
+        return { inner: profilePoints, outer: offsetCurve(profilePoints, wallThickness) };
+    }
+    
+    // A rolled lip continues the flare itself, so the wall follows it round
+    const inner = termination && termination.type === 'rollback'
+        ? appendRollback(profilePoints, termination.radius, termination.angle)
+        : profilePoints;
+    const outer = offsetCurve(inner, wallThickness);
+    
+    // Keep the throat face flat so the driver seats against it
+    const throatX = inner[0].x;
+    const trimmedOuter = outer.filter((point, i) => i === 0 || point.x > throatX);
+    trimmedOuter[0] = { x: throatX, r: inner[0].r + wallThickness };
+    
+    const outline = { inner, outer: trimmedOuter };
+    if (termination && termination.type === 'flange') {
+        return appendBaffleFlange(outline, wallThickness, termination.flangeWidth);
+    }
+    return outline;
+}
+
+// Angle the wall makes with the axis at the mouth, in radians, for the radius
+// key 'r', 'rh' or 'rv': the profile's own tangent where its equation gives
+// one, otherwise the direction of the last segment
+function mouthWallAngle(profilePoints, key) {
+    const mouth = profilePoints[profilePoints.length - 1];
+    if (mouth.wallAngle !== undefined) {
+        return mouth.wallAngle;
+    }
+    
+    const beforeMouth = profilePoints[profilePoints.length - 2];
+    return Math.atan2(mouth[key] - beforeMouth[key], mouth.x - beforeMouth.x);
+}
+
+// Continue a profile past its mouth around a toroidal roll of the given radius
+// until the wall makes the roll-back angle with the axis
+// The roll curves away from the axis, so its centre lies outside the horn on
+// the mouth normal and the wall offset shrinks its radius by the wall thickness
+function appendRollback(profilePoints, radius, endAngle) {
+    const mouth = profilePoints[profilePoints.length - 1];
+    const startAngle = mouthWallAngle(profilePoints, 'r');
+    if (endAngle <= startAngle) {
+        return profilePoints;
+    }
+    
+    const centre = {
+        x: mouth.x - radius * Math.sin(startAngle),
+        r: mouth.r + radius * Math.cos(startAngle)
+    };
+    
+    // Roughly one point every 5°
+    const steps = Math.max(8, Math.ceil((endAngle - startAngle) / (Math.PI / 36)));
+    const roll = [];
+    for (let i = 1; i <= steps; i++) {
+        const angle = startAngle + (endAngle - startAngle) * i / steps;
+        roll.push({
+            x: centre.x + radius * Math.sin(angle),
+            r: centre.r - radius * Math.cos(angle)
+        });
+    }
+    
+    // The curvature jumps where the roll starts, so the curve is fitted in two runs
+    return [...profilePoints.slice(0, -1), { ...mouth, corner: true }, ...roll];
+}
+
+// Turn the mouth out into a flat flange in the mouth plane, for mounting the
+// horn flush with a baffle
+// The flange front continues the inner curve radially; the outer curve is cut
+// where it meets the back of the flange, one wall thickness behind the mouth
+function appendBaffleFlange(outline, wallThickness, flangeWidth) {
+    const mouth = outline.inner[outline.inner.length - 1];
+    const flangeRadius = mouth.r + flangeWidth;
+    const backX = mouth.x - wallThickness;
+    
+    const outer = [];
+    for (const point of outline.outer) {
+        if (point.x < backX) {
+            outer.push(point);
+            continue;
+        }
+        
+        const prev = outer[outer.length - 1];
+        const t = (backX - prev.x) / (point.x - prev.x);
+        outer.push({ x: backX, r: prev.r + (point.r - prev.r) * t, corner: true });
+        break;
+    }
+    
+    // A wall at right angles to the axis ends exactly at the back of the flange
+    const last = outer[outer.length - 1];
+    if (!last.corner) {
+        outer[outer.length - 1] = { x: backX, r: last.r, corner: true };
+    }
+    
+    if (outer[outer.length - 1].r >= flangeRadius) {
+        throw new Error('The baffle flange must be wider than the wall');
+    }
+    outer.push({ x: backX, r: flangeRadius });
+    
+    return {
+        inner: [...outline.inner.slice(0, -1), { ...mouth, corner: true }, { x: mouth.x, r: flangeRadius }],
+        outer
+    };
+}
+
+// Offset a round profile or non-round stations outward by a distance
+function offsetCurve(points, distance) {
+    return points[0].rh === undefined ? offsetProfile(points, distance) : offsetSections(points, distance);
+}
+
+// Offset a profile curve by a distance along its outward normal
+function offsetProfile(points, distance) {
+    return points.map((point, i) => {
+        const prev = points[Math.max(0, i - 1)];
+        const next = points[Math.min(points.length - 1, i + 1)];
+        const dx = next.x - prev.x;
+        const dr = next.r - prev.r;
+        const length = Math.hypot(dx, dr);
+        
+        const offset = {
+            x: point.x - distance * dr / length,
+            r: point.r + distance * dx / length
+        };
+        if (point.corner) {
+            offset.corner = true;
+        }
+        return offset;
+    });
+}
+
+// Offset non-round stations outward by a wall thickness measured normal to the
+// horizontal and vertical flare curves
+function offsetSections(stations, distance) {
+    const slopeAt = (i, key) => {
+        const prev = stations[Math.max(0, i - 1)];
+        const next = stations[Math.min(stations.length - 1, i + 1)];
+        return (next[key] - prev[key]) / (next.x - prev.x);
+    };
+    
+    return stations.map((station, i) => {
+        const offset = {
+            x: station.x,
+            rh: station.rh + distance * Math.hypot(1, slopeAt(i, 'rh')),
+            rv: station.rv + distance * Math.hypot(1, slopeAt(i, 'rv')),
+            n: station.n
+        };
+        offset.r = Math.sqrt(sectionArea(offset) / Math.PI);
+        return offset;
+    });
+}
+
+// Calculate the (x, r) outline of the throat flange ring
+// The flange starts at the throat plane so the driver seats on its front face
+function calculateFlangeOutline(throatRadius, flange) {
+    return {
+        inner: [{ x: 0, r: throatRadius }, { x: flange.thickness, r: throatRadius }],
+        outer: [{ x: 0, r: flange.diameter / 2 }, { x: flange.thickness, r: flange.diameter / 2 }]
+    };
+}
+
+// Create horn shape using OpenCascade
+// Non-round walls are lofted through as many cross-sections as the linear
+// tolerance needs, or a fixed number without one
+function createHornShape(shellOutline, flangeOutline, flange, tolerance) {
+    try {
+        let shape = createWallSolid(shellOutline, tolerance);
+        if (!shape) {
+            return null;
+        }
+        
+        if (flangeOutline) {
+            shape = addThroatFlange(shape, flangeOutline, flange);
+        }
+        
+        return shape;
+    } catch (error) {
+        console.error('Error creating horn shape:', error);
+        console.error('Error details:', error.message, error.stack);
+        return null;
+    }
+}
+
+// Create the solid between the inner and outer curves of a wall outline
+// Round horns are revolved, other mouth shapes lofted through their cross-sections
+function createWallSolid(outline, tolerance) {
+    const isRound = outline.inner[0].rh === undefined;
+    return isRound ? revolveOutline(outline) : loftOutline(outline, tolerance);
+}
+
+// Revolve a closed (x, r) outline around the X axis into a solid
+function revolveOutline(outline) {
+    const { inner, outer } = outline;
+    
+    // Build wire around the wall cross-section
+    const wireMaker = new oc.BRepBuilderAPI_MakeWire_1();
+    
+    // Inner surface, throat to mouth
+    makeCurveEdges(inner).forEach(edge => wireMaker.Add_1(edge));
+    
+    // Mouth lip
+    wireMaker.Add_1(makeProfileEdge(inner[inner.length - 1], outer[outer.length - 1]));
+    
+    // Outer surface, mouth back to throat
+    makeCurveEdges(outer.slice().reverse()).forEach(edge => wireMaker.Add_1(edge));
+    
+    // Throat face
+    wireMaker.Add_1(makeProfileEdge(outer[0], inner[0]));
+    
+    if (!wireMaker.IsDone()) {
+        console.error('Failed to create wire');
+        return null;
+    }
+    
+    const wire = wireMaker.Wire();
+    
+    // Create face from wire
+    const faceMaker = new oc.BRepBuilderAPI_MakeFace_15(wire, false);
+    if (!faceMaker.IsDone()) {
+        console.error('Failed to create face');
+        return null;
+    }
+    const face = faceMaker.Face();
+    
+    // Revolve the cross-section around X-axis
+    const axis = new oc.gp_Ax1_2(
+        new oc.gp_Pnt_3(0, 0, 0),
+        new oc.gp_Dir_4(1, 0, 0)
+    );
+    const revolve = new oc.BRepPrimAPI_MakeRevol_1(face, axis, 2 * Math.PI, false);
+    
+    if (!revolve.IsDone()) {
+        console.error('Failed to revolve face');
+        return null;
+    }
+    
+    return revolve.Shape();
+}
+
+// Loft a hollow shell through the inner and outer cross-sections
+function loftOutline(outline, tolerance) {
+    const outerSolid = loftSections(selectLoftStations(outline.outer, tolerance));
+    
+    // Run the inner solid slightly past both ends so the cut opens them cleanly
+    const inner = selectLoftStations(outline.inner, tolerance);
+    const innerSections = [
+        { ...inner[0], x: inner[0].x - 1 },
+        ...inner,
+        { ...inner[inner.length - 1], x: inner[inner.length - 1].x + 1 }
+    ];
+    const innerSolid = loftSections(innerSections);
+    
+    return cutShape(outerSolid, innerSolid);
+}
+
+// Pick the stations to loft through, always keeping the first and the last
+// Lofting through every station makes a needlessly heavy surface. With a
+// tolerance a station is left out only while every station skipped stays within
+// the linear tolerance of the straight line between the kept stations either
+// side, so the sections gather where the profile bends; without one at most
+// LOFT_MAX_SECTIONS are kept, evenly spread
+function selectLoftStations(stations, tolerance) {
+    const last = stations.length - 1;
+    if (!tolerance) {
+        const stride = Math.max(1, Math.ceil(last / (LOFT_MAX_SECTIONS - 1)));
+        return stations.filter((station, i) => i % stride === 0 || i === last);
+    }
+    
+    const selected = [stations[0]];
+    let start = 0;
+    for (let end = 2; end <= last; end++) {
+        if (!stationsNearChord(stations, start, end, tolerance.linear)) {
+            start = end - 1;
+            selected.push(stations[start]);
+        }
+    }
+    selected.push(stations[last]);
+    return selected;
+}
+
+// Whether every station strictly between two others stays within a distance of
+// the straight line between them, in both semi-axes and the equivalent radius
+function stationsNearChord(stations, start, end, distance) {
+    const a = stations[start];
+    const b = stations[end];
+    for (let i = start + 1; i < end; i++) {
+        const t = (stations[i].x - a.x) / (b.x - a.x);
+        for (const key of ['rh', 'rv', 'r']) {
+            if (Math.abs(a[key] + (b[key] - a[key]) * t - stations[i][key]) > distance) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+// Loft a solid through the cross-sections of a list of stations
+function loftSections(stations) {
+    const loft = new oc.BRepOffsetAPI_ThruSections(true, false, 1e-6);
+    for (const station of stations) {
+        loft.AddWire(makeSectionWire(station));
+    }
+    loft.Build(new oc.Message_ProgressRange_1());
+    
+    if (!loft.IsDone()) {
+        throw new Error('Failed to loft cross-sections');
+    }
+    return loft.Shape();
+}
+
+// Create a closed wire around a station's cross-section, interpolated as a
+// periodic B-spline so the lofted wall is smooth all the way round
+function makeSectionWire(station) {
+    const outline = sectionOutline(station, SECTION_POINTS);
+    const points = new oc.TColgp_HArray1OfPnt_2(1, outline.length);
+    outline.forEach(([y, z], j) => points.SetValue(j + 1, new oc.gp_Pnt_3(station.x, y, z)));
+    
+    const interpolation = new oc.GeomAPI_Interpolate_1(new oc.Handle_TColgp_HArray1OfPnt_2(points), true, SPLINE_TOLERANCE);
+    interpolation.Perform();
+    if (!interpolation.IsDone()) {
+        throw new Error('Failed to interpolate cross-section');
+    }
+    
+    const edge = new oc.BRepBuilderAPI_MakeEdge_24(new oc.Handle_Geom_Curve_2(interpolation.Curve().get())).Edge();
+    return new oc.BRepBuilderAPI_MakeWire_2(edge).Wire();
+}
+
+// Fuse the flange ring onto the horn and drill the bolt holes through it
+function addThroatFlange(shape, flangeOutline, flange) {
+    const flangeShape = revolveOutline(flangeOutline);
+    if (!flangeShape) {
+        throw new Error('Failed to create flange');
+    }
+    
+    let result = fuseShapes(shape, flangeShape);
+    
+    // Bolt holes run along the horn axis, evenly spaced on the bolt circle
+    const boltCircleRadius = flange.boltCircleDiameter / 2;
+    for (let i = 0; i < flange.boltHoleCount; i++) {
+        const angle = (i / flange.boltHoleCount) * Math.PI * 2;
+        const holeAxis = new oc.gp_Ax2_3(
+            new oc.gp_Pnt_3(-1, Math.cos(angle) * boltCircleRadius, Math.sin(angle) * boltCircleRadius),
+            new oc.gp_Dir_4(1, 0, 0)
+        );
+        const hole = new oc.BRepPrimAPI_MakeCylinder_3(holeAxis, flange.boltHoleDiameter / 2, flange.thickness + 2).Shape();
+        result = cutShape(result, hole);
+    }
+    
+    return result;
+}
+
+// Boolean union of two shapes
+function fuseShapes(shape, tool) {
+    const fuse = new oc.BRepAlgoAPI_Fuse_3(shape, tool, new oc.Message_ProgressRange_1());
+    fuse.Build(new oc.Message_ProgressRange_1());
+    if (!fuse.IsDone()) {
+        throw new Error('Boolean fuse failed');
+    }
+    return fuse.Shape();
+}
+
+// Boolean subtraction of a tool shape from a shape
+function cutShape(shape, tool) {
+    const cut = new oc.BRepAlgoAPI_Cut_3(shape, tool, new oc.Message_ProgressRange_1());
+    cut.Build(new oc.Message_ProgressRange_1());
+    if (!cut.IsDone()) {
+        throw new Error('Boolean cut failed');
+    }
+    return cut.Shape();
+}
+
+// Create a single edge through a run of profile points in the XY plane
+// Curves are fitted as one smooth B-spline, so the revolved surface has no
+// facets; two points give a straight edge
+function makeCurveEdge(points) {
+    if (points.length === 2) {
+        return makeProfileEdge(points[0], points[1]);
+    }
+    
+    const array = new oc.TColgp_Array1OfPnt_2(1, points.length);
+    points.forEach((point, i) => array.SetValue(i + 1, new oc.gp_Pnt_3(point.x, point.r, 0)));
+    
+    // The approximation passes exactly through the end points
+    const fit = new oc.GeomAPI_PointsToBSpline_2(array, 3, 8, oc.GeomAbs_Shape.GeomAbs_C2, SPLINE_TOLERANCE);
+    if (!fit.IsDone()) {
+        throw new Error('Failed to fit profile curve');
+    }
+    
+    return new oc.BRepBuilderAPI_MakeEdge_24(new oc.Handle_Geom_Curve_2(fit.Curve().get())).Edge();
+}
+
+// Create one edge per smooth run of profile points, splitting the curve at
+// points marked as corners
+function makeCurveEdges(points) {
+    const edges = [];
+    let start = 0;
+    for (let i = 1; i < points.length; i++) {
+        if (points[i].corner || i === points.length - 1) {
+            edges.push(makeCurveEdge(points.slice(start, i + 1)));
+            start = i;
+        }
+    }
+    return edges;
+}
+
+// Create a straight edge between two profile points in the XY plane
+function makeProfileEdge(pt1, pt2) {
+    return new oc.BRepBuilderAPI_MakeEdge_3(
+        new oc.gp_Pnt_3(pt1.x, pt1.r, 0),
+        new oc.gp_Pnt_3(pt2.x, pt2.r, 0)
+    ).Edge();
+}
+
+// Plan how to cut a horn into pieces that fit the printer bed
+// Rings are printed standing on their throat end, so their length is limited by
+// the bed height and their footprint by the bed area; a ring too wide for the
+// bed is divided into equal radial petals
+function planPrintSections(shellOutline, wallThickness, flange, split) {
+    const joint = SECTION_JOINT;
+    const { inner, outer } = shellOutline;
+    const xs = inner.concat(outer).map(point => point.x);
+    const xStart = Math.min(...xs);
+    const xEnd = Math.max(...xs);
+    const useTabs = split.jointType === 'pins' || split.boltTabs;
+    const tabDepth = useTabs ? joint.tabDepth : 0;
+    const overhang = { pins: joint.pinLength, lip: joint.lipLength }[split.jointType] || 0;
+    
+    // Pins and lips stand proud of the top of each ring
+    const usableHeight = split.bedHeight - overhang;
+    if (usableHeight <= 0) {
+        throw new Error('The print bed is too low for the joints');
+    }
+    
+    // Rings are spread evenly over what is left of the horn, and shortened
+    // where even the finest petals of a full-height ring would not fit
+    const minLength = 2 * joint.tabThickness + joint.lipLength;
+    const rings = [];
+    let toolRadius = 0;
+    let x0 = xStart;
+    
+    while (x0 < xEnd - 1e-6) {
+        const remaining = xEnd - x0;
+        let x1 = x0 + remaining / Math.ceil(remaining / usableHeight);
+        let fit = fitRing(shellOutline, flange, x0, x1, rings, tabDepth, overhang, split);
+        
+        while (!fit) {
+            x1 = x0 + (x1 - x0) * 0.8;
+            if (x1 - x0 < minLength) {
+                throw new Error(`The horn is too wide ${Math.round(x0)} mm from the throat to fit the print bed in ${joint.maxPetals} petals`);
+            }
+            fit = fitRing(shellOutline, flange, x0, x1, rings, tabDepth, overhang, split);
+        }
+        
+        rings.push({ x0, x1, petals: fit.petals, pieces: [] });
+        toolRadius = Math.max(toolRadius, fit.radius);
+        x0 = x1;
+    }
+    const ringCount = rings.length;
+    
+    // One piece per petal, with the end rings run past the ends of the horn
+    const pieces = [];
+    rings.forEach((ring, i) => {
+        for (let j = 0; j < ring.petals; j++) {
+            ring.pieces.push(pieces.length);
+            pieces.push({
+                name: ring.petals === 1 ? `ring${i + 1}` : `ring${i + 1}_petal${j + 1}`,
+                ring: i,
+                x0: i === 0 ? ring.x0 - 1 : ring.x0,
+                x1: i === ringCount - 1 ? ring.x1 + 1 : ring.x1,
+                angle0: (j / ring.petals) * Math.PI * 2,
+                angle1: ((j + 1) / ring.petals) * Math.PI * 2
+            });
+        }
+    });
+    
+    const pieceAt = (ring, angle) => ring.pieces.find(index => angle < pieces[index].angle1);
+    const tabBase = wallThickness / 2 + joint.clearance;
+    const tabs = [];
+    const lips = [];
+    
+    // Joints between consecutive rings, pins and lips pointing towards the mouth
+    for (let i = 0; i < ringCount - 1; i++) {
+        const lower = rings[i];
+        const upper = rings[i + 1];
+        const x = lower.x1;
+        
+        if (useTabs) {
+            // Tabs sit halfway between the seams of the finer ring
+            const count = upper.petals >= 3 ? upper.petals : 4;
+            for (let k = 0; k < count; k++) {
+                const angle = ((k + 0.5) / count) * Math.PI * 2;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                const baseRadius = Math.max(
+                    polarRadius(inner, x - joint.tabThickness, angle),
+                    polarRadius(inner, x + joint.tabThickness, angle)
+                ) + tabBase;
+                const tab = jointTab([x, 0, 0], [1, 0, 0], [0, cos, sin], [0, sin, -cos], baseRadius, polarRadius(outer, x, angle));
+                tabs.push({ ...tab, first: pieceAt(lower, angle), second: pieceAt(upper, angle) });
+            }
+        }
+        
+        if (split.jointType === 'lip') {
+            for (const index of lower.pieces) {
+                const { angle0, angle1 } = pieces[index];
+                lips.push({
+                    first: index,
+                    second: upper.pieces.filter(other => pieces[other].angle0 >= angle0 && pieces[other].angle1 <= angle1),
+                    region: { x0: x, x1: x + joint.lipLength, angle0, angle1 },
+                    recess: { x0: x, x1: x + joint.lipLength + joint.clearance, angle0, angle1 }
+                });
+            }
+        }
+    }
+    
+    // Joints between neighbouring petals, pins and lips pointing round the axis
+    rings.forEach((ring, index) => {
+        if (ring.petals === 1) {
+            return;
+        }
+        
+        const length = ring.x1 - ring.x0;
+        const tabCount = length >= 4 * joint.tabWidth ? 2 : 1;
+        const innerRadius = Math.max(1, polarRadius(inner, ring.x0, 0));
+        
+        for (let j = 0; j < ring.petals; j++) {
+            const first = ring.pieces[(j + ring.petals - 1) % ring.petals];
+            const second = ring.pieces[j];
+            const angle = pieces[second].angle0;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            
+            if (useTabs) {
+                for (let k = 0; k < tabCount; k++) {
+                    const x = ring.x0 + ((k + 0.5) / tabCount) * length;
+                    const baseRadius = Math.max(
+                        polarRadius(inner, x - joint.tabWidth / 2, angle),
+                        polarRadius(inner, x + joint.tabWidth / 2, angle)
+                    ) + tabBase;
+                    const tab = jointTab([x, 0, 0], [0, -sin, cos], [0, cos, sin], [1, 0, 0], baseRadius, polarRadius(outer, x, angle));
+                    tabs.push({ ...tab, first, second });
+                }
+            }
+            
+            if (split.jointType === 'lip') {
+                // Leave the inner half of the wall above a ring joint to the lip below it
+                const { x1 } = pieces[second];
+                const x0 = index > 0 ? ring.x0 + joint.lipLength + joint.clearance : pieces[second].x0;
+                lips.push({
+                    first,
+                    second: [second],
+                    region: { x0, x1, angle0: angle, angle1: angle + joint.lipLength / innerRadius },
+                    recess: { x0, x1, angle0: angle, angle1: angle + (joint.lipLength + joint.clearance) / innerRadius }
+                });
+            }
+        }
+    });
+    
+    return { rings, pieces, tabs, lips, toolRadius: toolRadius + overhang + 10 };
+}
+
+// Find the fewest petals that let a ring between two axial positions fit the
+// print bed, or null if none do
+// Petal counts only multiply towards the mouth so the seams line up
+function fitRing(shellOutline, flange, x0, x1, rings, tabDepth, overhang, split) {
+    const innerRadius = minSectionRadius(shellOutline.inner, x0, x1);
+    let radius = maxSectionRadius(shellOutline.outer, x0, x1) + tabDepth;
+    if (flange && x0 < flange.thickness) {
+        radius = Math.max(radius, flange.diameter / 2);
+    }
+    
+    const previous = rings.length > 0 ? rings[rings.length - 1].petals : 1;
+    for (let petals = previous; petals <= SECTION_JOINT.maxPetals; petals += previous) {
+        if (petalFits(radius, innerRadius, petals, overhang, split)) {
+            return { petals, radius };
+        }
+    }
+    return null;
+}
+
+// Check whether a ring, or one of its petals, fits the print bed either way round
+// A petal spans the chord of its outer arc and reaches in to its inner arc
+function petalFits(radius, innerRadius, petals, overhang, split) {
+    let width = 2 * radius;
+    let depth = 2 * radius;
+    if (petals > 1) {
+        width = 2 * radius * Math.sin(Math.PI / petals) + overhang;
+        depth = radius - innerRadius * Math.cos(Math.PI / petals);
+    }
+    
+    return (width <= split.bedWidth && depth <= split.bedDepth) ||
+        (width <= split.bedDepth && depth <= split.bedWidth);
+}
+
+// Lay out a joint tab straddling a cut
+// `normal` crosses the cut from the first piece into the second, `radial` points
+// away from the axis and `along` (radial × normal) runs along the cut; the tab
+// reaches from the base radius into the wall to the tab depth beyond its outside
+function jointTab(axisPoint, normal, radial, along, baseRadius, outerRadius) {
+    const { tabThickness, tabWidth, tabDepth } = SECTION_JOINT;
+    const at = (n, r, a) => axisPoint.map((value, k) => value + normal[k] * n + radial[k] * r + along[k] * a);
+    const centreRadius = outerRadius + tabDepth / 2;
+    
+    return {
+        origin: at(-tabThickness, baseRadius, -tabWidth / 2),
+        normal,
+        radial,
+        size: [2 * tabThickness, tabWidth, outerRadius + tabDepth - baseRadius],
+        pin: at(0, centreRadius, -tabWidth / 4),
+        bolt: at(0, centreRadius, tabWidth / 4)
+    };
+}
+
+// Station of a curve at an axial position, interpolated between its points
+function interpolateStation(points, x) {
+    let i = 0;
+    while (i < points.length - 2 && x > points[i + 1].x) {
+        i++;
+    }
+    
+    const a = points[i];
+    const b = points[i + 1];
+    const t = b.x > a.x ? Math.max(0, Math.min(1, (x - a.x) / (b.x - a.x))) : 0;
+    const station = {};
+    for (const key of ['x', 'r', 'rh', 'rv', 'n']) {
+        if (key in a) {
+            station[key] = a[key] + (b[key] - a[key]) * t;
+        }
+    }
+    return station;
+}
+
+// Distance from the axis to a curve at an axial position, in the direction
+// theta of the cross-section (measured from the vertical towards the horizontal)
+function polarRadius(points, x, theta) {
+    const station = interpolateStation(points, x);
+    if (station.rh === undefined) {
+        return station.r;
+    }
+    
+    const y = Math.pow(Math.abs(Math.cos(theta)) / station.rv, station.n);
+    const z = Math.pow(Math.abs(Math.sin(theta)) / station.rh, station.n);
+    return Math.pow(y + z, -1 / station.n);
+}
+
+// Largest distance from the axis to a curve between two axial positions
+function maxSectionRadius(points, x0, x1) {
+    return Math.max(...stationsBetween(points, x0, x1).map(station => {
+        if (station.rh === undefined) {
+            return station.r;
+        }
+        return Math.max(...sectionOutline(station, SECTION_POINTS).map(([y, z]) => Math.hypot(y, z)));
+    }));
+}
+
+// Smallest distance from the axis to a curve between two axial positions
+function minSectionRadius(points, x0, x1) {
+    return Math.min(...stationsBetween(points, x0, x1).map(station => {
+        return station.rh === undefined ? station.r : Math.min(station.rh, station.rv);
+    }));
+}
+
+// Stations of a curve at two axial positions and every point between them
+function stationsBetween(points, x0, x1) {
+    return [
+        interpolateStation(points, x0),
+        interpolateStation(points, x1),
+        ...points.filter(point => point.x > x0 && point.x < x1)
+    ];
+}
+
+// Cut a horn into the pieces of a print plan, adding the joint tabs, pins and lips
+function createPrintSections(shape, shellOutline, wallThickness, plan, split) {
+    const joint = SECTION_JOINT;
+    const usePins = split.jointType === 'pins';
+    
+    // Tabs straddle the cuts, so fuse them on and drill them before cutting
+    let body = shape;
+    for (const tab of plan.tabs) {
+        body = fuseShapes(body, makeOrientedBox(tab.origin, tab.radial, tab.normal, tab.size));
+        if (split.boltTabs) {
+            const start = offsetPoint(tab.bolt, tab.normal, -joint.tabThickness - 1);
+            body = cutShape(body, makeCylinderAlong(start, tab.normal, joint.boltDiameter / 2, 2 * joint.tabThickness + 2));
+        }
+    }
+    
+    // The lips are the inner half of the wall, and the recesses they slide into
+    // are that half plus a clearance; both start inside the bore so the booleans
+    // never meet the bore surface face to face
+    let lipBand = null;
+    let recessSolid = null;
+    if (plan.lips.length > 0) {
+        const bore = offsetCurve(shellOutline.inner, -1);
+        lipBand = commonShapes(shape, createWallSolid(calculateShellOutline(bore, wallThickness / 2 + 1)));
+        recessSolid = createWallSolid(calculateShellOutline(bore, wallThickness / 2 + joint.clearance + 1));
+    }
+    
+    return plan.pieces.map((piece, index) => {
+        let result = commonShapes(body, makeSectorTool(piece, plan.toolRadius));
+        
+        for (const lip of plan.lips) {
+            if (lip.first === index) {
+                result = fuseShapes(result, commonShapes(lipBand, makeSectorTool(lip.region, plan.toolRadius)));
+            }
+            if (lip.second.includes(index)) {
+                result = cutShape(result, commonShapes(recessSolid, makeSectorTool(lip.recess, plan.toolRadius)));
+            }
+        }
+        
+        if (usePins) {
+            for (const tab of plan.tabs) {
+                if (tab.first === index) {
+                    const start = offsetPoint(tab.pin, tab.normal, -joint.tabThickness / 2);
+                    result = fuseShapes(result, makeCylinderAlong(start, tab.normal, joint.pinDiameter / 2, joint.tabThickness / 2 + joint.pinLength));
+                }
+                if (tab.second === index) {
+                    const start = offsetPoint(tab.pin, tab.normal, -1);
+                    result = cutShape(result, makeCylinderAlong(start, tab.normal, joint.pinDiameter / 2 + joint.clearance, joint.pinLength + 1.5));
+                }
+            }
+        }
+        
+        return { ...piece, shape: result };
+    });
+}
+
+// Solid sector of a cylinder around the X axis between two axial positions and
+// two angles, measured from the vertical towards the horizontal
+function makeSectorTool(region, radius) {
+    const { x0, x1, angle0, angle1 } = region;
+    const axes = new oc.gp_Ax2_2(
+        new oc.gp_Pnt_3(x0, 0, 0),
+        new oc.gp_Dir_4(1, 0, 0),
+        new oc.gp_Dir_4(0, Math.cos(angle0), Math.sin(angle0))
+    );
+    
+    if (angle1 - angle0 >= Math.PI * 2 - 1e-9) {
+        return new oc.BRepPrimAPI_MakeCylinder_3(axes, radius, x1 - x0).Shape();
+    }
+    return new oc.BRepPrimAPI_MakeCylinder_4(axes, radius, x1 - x0, angle1 - angle0).Shape();
+}
+
+// Box with one corner at the origin, its depth along `normal`, its height along
+// `up` and its width along up × normal
+function makeOrientedBox(origin, up, normal, size) {
+    const axes = new oc.gp_Ax2_2(new oc.gp_Pnt_3(...origin), new oc.gp_Dir_4(...up), new oc.gp_Dir_4(...normal));
+    return new oc.BRepPrimAPI_MakeBox_4(axes, size[0], size[1], size[2]).Shape();
+}
+
+// Cylinder starting at a point and running along a direction
+function makeCylinderAlong(start, direction, radius, length) {
+    const axes = new oc.gp_Ax2_3(new oc.gp_Pnt_3(...start), new oc.gp_Dir_4(...direction));
+    return new oc.BRepPrimAPI_MakeCylinder_3(axes, radius, length).Shape();
+}
+
+// Move a point a distance along a direction
+function offsetPoint(point, direction, distance) {
+    return point.map((value, k) => value + direction[k] * distance);
+}
+
+// Boolean intersection of two shapes
+function commonShapes(shape, tool) {
+    const common = new oc.BRepAlgoAPI_Common_3(shape, tool, new oc.Message_ProgressRange_1());
+    common.Build(new oc.Message_ProgressRange_1());
+    if (!common.IsDone()) {
+        throw new Error('Boolean common failed');
+    }
+    return common.Shape();
+}
+
+// Triangulate a shape at a tessellation tolerance, replacing any triangulation
+// it already has
+function meshShape(shape, tolerance) {
+    oc.BRepTools.Clean(shape, true);
+    new oc.BRepMesh_IncrementalMesh_2(shape, tolerance.linear, false, tolerance.angular, false);
+}
+
+// Collect the triangulation of every face of a meshed shape as flat vertex
+// and index arrays
+function triangulateShape(shape) {
+    const vertices = [];
+    const indices = [];
+    
+    const explorer = new oc.TopExp_Explorer_2(shape, oc.TopAbs_ShapeEnum.TopAbs_FACE, oc.TopAbs_ShapeEnum.TopAbs_SHAPE);
+    
+    while (explorer.More()) {
+        const face = oc.TopoDS.Face_1(explorer.Current());
+        const location = new oc.TopLoc_Location_1();
+        const triangulationFace = oc.BRep_Tool.Triangulation(face, location);
+        
+        if (!triangulationFace.IsNull()) {
+            const transformation = location.Transformation();
+            const nodeCount = triangulationFace.NbNodes();
+            const triangleCount = triangulationFace.NbTriangles();
+            
+            const indexOffset = vertices.length / 3;
+            
+            // Get vertices
+            for (let i = 1; i <= nodeCount; i++) {
+                const node = triangulationFace.Node(i);
+                const transformed = node.Transformed(transformation);
+                vertices.push(transformed.X(), transformed.Y(), transformed.Z());
+            }
+            
+            // Get triangles
+            for (let i = 1; i <= triangleCount; i++) {
+                const triangle = triangulationFace.Triangle(i);
+                let i1 = triangle.Value(1) - 1 + indexOffset;
+                let i2 = triangle.Value(2) - 1 + indexOffset;
+                let i3 = triangle.Value(3) - 1 + indexOffset;
+                
+                // Check face orientation
+                const orientation = face.Orientation_1();
+                if (orientation === oc.TopAbs_Orientation.TopAbs_REVERSED) {
+                    [i2, i3] = [i3, i2];
+                }
+                
+                indices.push(i1, i2, i3);
+            }
+        }
+        
+        explorer.Next();
+    }
+    
+    return { vertices, indices };
+}
+
+// Build a triangle mesh by sweeping cross-sections around a closed outline
+// Triangles are wound so their normals face out of the wall
+function buildShellMesh(shellOutline, radialSegments) {
+    const vertices = [];
+    const indices = [];
+    
+    // Walk the outline: inner curve to the mouth, then outer curve back to the throat
+    const loop = shellOutline.inner.concat(shellOutline.outer.slice().reverse());
+    
+    // Generate a ring of vertices around the cross-section at each outline point
+    for (const point of loop) {
+        for (const [y, z] of sectionOutline(point, radialSegments)) {
+            vertices.push(point.x, y, z);
+        }
+    }
+    
+    // Connect consecutive rings, wrapping from the throat face back to the start
+    // and round each ring, so the mesh is closed
+    for (let i = 0; i < loop.length; i++) {
+        const next = (i + 1) % loop.length;
+        
+        for (let j = 0; j < radialSegments; j++) {
+            const a = i * radialSegments + j;
+            const b = next * radialSegments + j;
+            const c = i * radialSegments + (j + 1) % radialSegments;
+            const d = next * radialSegments + (j + 1) % radialSegments;
+            
+            // Two triangles per quad
+            indices.push(a, b, c);
+            indices.push(c, b, d);
+        }
+    }
+    
+    return { vertices, indices };
+}
+
+// Triangle mesh of the horn for export and the preview, at a chordal and
+// angular tolerance. The OpenCascade solid is tessellated and its faces joined
+// at their shared edges; without it the wall is swept with enough points round
+// each cross-section to stay within the tolerance.
+function createHornMesh(shape, shellOutline, flangeOutline, tolerance) {
+    if (shape) {
+        return createShapeMesh(shape, tolerance);
+    }
+    
+    const radius = Math.max(...[shellOutline, flangeOutline].filter(Boolean).map(outline => maxSectionRadius(outline.outer, -Infinity, Infinity)));
+    return buildHornMesh(shellOutline, flangeOutline, radialSegmentsForTolerance(radius, tolerance));
+}
+
+// Validate a mesh for export, repairing it first if asked
+// Returns { mesh, meshReport, meshRepairs }; meshRepairs is null without repair
+function prepareExportMesh(mesh, repair) {
+    if (!repair) {
+        return { mesh, meshReport: validateMesh(mesh), meshRepairs: null };
+    }
+    
+    const { mesh: repaired, repairs } = repairMesh(mesh);
+    return { mesh: repaired, meshReport: validateMesh(repaired), meshRepairs: repairs };
+}
+
+// Tessellate an OpenCascade shape into one welded triangle mesh
+function createShapeMesh(shape, tolerance) {
+    meshShape(shape, tolerance);
+    return weldVertices(triangulateShape(shape));
+}
+
+// Points round a cross-section of the given radius so that no chord strays
+// further than the linear tolerance and no two facets meet at more than the angle
+function radialSegmentsForTolerance(radius, tolerance) {
+    const chordAngle = 2 * Math.acos(Math.max(-1, 1 - tolerance.linear / radius));
+    const step = Math.min(chordAngle, tolerance.angular);
+    return Math.max(MESH_RADIAL_SEGMENTS_MIN, Math.min(MESH_RADIAL_SEGMENTS_MAX, Math.ceil(2 * Math.PI / step)));
+}
+
+// Merge vertices that share a position, as where tessellated faces meet, and
+// drop the triangles that collapse doing so
+function weldVertices(mesh) {
+    const positions = new Map();
+    const remap = [];
+    const vertices = [];
+    
+    for (let i = 0; i < mesh.vertices.length; i += 3) {
+        const key = [0, 1, 2].map(k => Math.round(mesh.vertices[i + k] / MESH_WELD_TOLERANCE)).join(',');
+        if (!positions.has(key)) {
+            positions.set(key, vertices.length / 3);
+            vertices.push(mesh.vertices[i], mesh.vertices[i + 1], mesh.vertices[i + 2]);
+        }
+        remap.push(positions.get(key));
+    }
+    
+    const indices = [];
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+        const [a, b, c] = [0, 1, 2].map(k => remap[mesh.indices[t + k]]);
+        if (a !== b && b !== c && c !== a) {
+            indices.push(a, b, c);
+        }
+    }
+    
+    return { vertices, indices };
+}
+
+// Check a triangle mesh for the faults that stop it printing: edges with only
+// one triangle (holes), edges shared by more than two (non-manifold), neighbours
+// wound in opposite directions and triangles without area. Vertices are welded
+// first, so faces that merely touch are not reported as open.
+// The enclosed volume is positive when the triangles face outwards.
+function validateMesh(mesh) {
+    const welded = weldVertices(mesh);
+    const collapsed = (mesh.indices.length - welded.indices.length) / 3;
+    let openEdges = 0;
+    let nonManifoldEdges = 0;
+    let inconsistentEdges = 0;
+    
+    for (const edge of meshEdges(welded.indices).values()) {
+        const count = edge.forward.length + edge.backward.length;
+        if (count === 1) {
+            openEdges++;
+        } else if (count > 2) {
+            nonManifoldEdges++;
+        } else if (edge.forward.length !== 1) {
+            inconsistentEdges++;
+        }
+    }
+    
+    let degenerateTriangles = collapsed;
+    for (let t = 0; t < welded.indices.length; t += 3) {
+        if (triangleArea(welded, t) < MESH_DEGENERATE_AREA) {
+            degenerateTriangles++;
+        }
+    }
+    
+    const volume = signedVolume(welded);
+    const watertight = openEdges === 0 && nonManifoldEdges === 0 && inconsistentEdges === 0;
+    return {
+        vertices: welded.vertices.length / 3,
+        triangles: mesh.indices.length / 3,
+        duplicateVertices: (mesh.vertices.length - welded.vertices.length) / 3,
+        openEdges,
+        nonManifoldEdges,
+        inconsistentEdges,
+        degenerateTriangles,
+        volume,
+        watertight,
+        valid: watertight && degenerateTriangles === 0 && volume > 0
+    };
+}
+
+// Describe the faults of a validateMesh report, one line each
+function meshProblems(report) {
+    const problems = [];
+    const count = (n, what) => `${n} ${what}${n === 1 ? '' : 's'}`;
+    
+    if (report.openEdges > 0) {
+        problems.push(count(report.openEdges, 'open edge') + ' (the mesh has holes)');
+    }
+    if (report.nonManifoldEdges > 0) {
+        problems.push(count(report.nonManifoldEdges, 'non-manifold edge'));
+    }
+    if (report.inconsistentEdges > 0) {
+        problems.push(count(report.inconsistentEdges, 'edge') + ' between inconsistently wound triangles');
+    }
+    if (report.degenerateTriangles > 0) {
+        problems.push(count(report.degenerateTriangles, 'degenerate triangle'));
+    }
+    if (report.watertight && report.volume <= 0) {
+        problems.push('The triangles face inwards');
+    }
+    return problems;
+}
+
+// Repair what can be repaired without inventing geometry: weld vertices,
+// remove degenerate and repeated triangles, make neighbouring triangles agree
+// on their winding and turn every closed part to face outwards. Holes and
+// non-manifold edges are left as they are.
+// Returns the repaired mesh and what was done to it.
+function repairMesh(mesh) {
+    const welded = weldVertices(mesh);
+    const repairs = {
+        weldedVertices: (mesh.vertices.length - welded.vertices.length) / 3,
+        removedTriangles: (mesh.indices.length - welded.indices.length) / 3,
+        flippedTriangles: 0
+    };
+    
+    // Keep each triangle once, and only if it has area
+    const seen = new Set();
+    const triangles = [];
+    for (let t = 0; t < welded.indices.length; t += 3) {
+        const triangle = welded.indices.slice(t, t + 3);
+        const key = triangle.slice().sort((a, b) => a - b).join(',');
+        if (seen.has(key) || triangleArea(welded, t) < MESH_DEGENERATE_AREA) {
+            repairs.removedTriangles++;
+            continue;
+        }
+        seen.add(key);
+        triangles.push(triangle);
+    }
+    
+    // Walk each connected part across its manifold edges, turning every
+    // triangle to run each shared edge the opposite way to its neighbour
+    const flipped = new Array(triangles.length).fill(false);
+    const visited = new Array(triangles.length).fill(false);
+    const edges = meshEdges(triangles.flat());
+    const neighbours = triangles.map(() => []);
+    for (const edge of edges.values()) {
+        const sharing = [...edge.forward, ...edge.backward];
+        if (sharing.length === 2) {
+            neighbours[sharing[0]].push(sharing[1]);
+            neighbours[sharing[1]].push(sharing[0]);
+        }
+    }
+    const oriented = t => flipped[t] ? [triangles[t][0], triangles[t][2], triangles[t][1]] : triangles[t];
+    const runsForward = (triangle, a, b) => [0, 1, 2].some(k => triangle[k] === a && triangle[(k + 1) % 3] === b);
+    
+    for (let start = 0; start < triangles.length; start++) {
+        if (visited[start]) {
+            continue;
+        }
+        
+        const part = [start];
+        visited[start] = true;
+        for (let i = 0; i < part.length; i++) {
+            const t = part[i];
+            const triangle = oriented(t);
+            for (const u of neighbours[t]) {
+                if (visited[u]) {
+                    continue;
+                }
+                const [a, b] = triangles[u].filter(v => triangle.includes(v));
+                flipped[u] = runsForward(triangle, a, b) === runsForward(triangles[u], a, b);
+                visited[u] = true;
+                part.push(u);
+            }
+        }
+        
+        // A part enclosing negative volume is inside out
+        const partMesh = { vertices: welded.vertices, indices: part.flatMap(oriented) };
+        if (signedVolume(partMesh) < 0) {
+            part.forEach(t => {
+                flipped[t] = !flipped[t];
+            });
+        }
+    }
+    
+    repairs.flippedTriangles = flipped.filter(Boolean).length;
+    return { mesh: { vertices: welded.vertices, indices: triangles.flatMap((triangle, t) => oriented(t)) }, repairs };
+}
+
+// Edges of a triangle list keyed by their vertex pair, listing the triangles
+// that run along each edge from the lower to the higher vertex and back
+function meshEdges(indices) {
+    const edges = new Map();
+    
+    for (let t = 0; t < indices.length; t += 3) {
+        for (let k = 0; k < 3; k++) {
+            const a = indices[t + k];
+            const b = indices[t + (k + 1) % 3];
+            const key = a < b ? a + ',' + b : b + ',' + a;
+            if (!edges.has(key)) {
+                edges.set(key, { forward: [], backward: [] });
+            }
+            edges.get(key)[a < b ? 'forward' : 'backward'].push(t / 3);
+        }
+    }
+    return edges;
+}
+
+// Area of the triangle starting at an index position
+function triangleArea(mesh, t) {
+    const [p, q, r] = [0, 1, 2].map(k => {
+        const index = mesh.indices[t + k] * 3;
+        return [mesh.vertices[index], mesh.vertices[index + 1], mesh.vertices[index + 2]];
+    });
+    const u = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+    const v = [r[0] - p[0], r[1] - p[1], r[2] - p[2]];
+    return Math.hypot(u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]) / 2;
+}
+
+// Volume enclosed by a closed triangle mesh, from the tetrahedra each triangle
+// makes with the origin; negative when the triangles face inwards
+function signedVolume(mesh) {
+    const { vertices, indices } = mesh;
+    let volume = 0;
+    
+    for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [0, 1, 2].map(k => indices[t + k] * 3);
+        volume += vertices[a] * (vertices[b + 1] * vertices[c + 2] - vertices[b + 2] * vertices[c + 1]) -
+            vertices[a + 1] * (vertices[b] * vertices[c + 2] - vertices[b + 2] * vertices[c]) +
+            vertices[a + 2] * (vertices[b] * vertices[c + 1] - vertices[b + 1] * vertices[c]);
+    }
+    return volume / 6;
+}
+
+// Build the pure JavaScript mesh of the horn wall and the throat flange ring
+// Bolt holes are only cut in the OpenCascade solid
+function buildHornMesh(shellOutline, flangeOutline, radialSegments) {
+    return buildShellMesh(flangeOutline ? joinThroatFlange(shellOutline, flangeOutline) : shellOutline, radialSegments);
+}
+
+// Join the throat flange to a wall outline so the two sweep as one closed solid
+// The outer curve runs back from the mouth to the back face of the flange, out
+// to its rim and forward to the throat plane; the flange has no bolt holes
+function joinThroatFlange(shellOutline, flangeOutline) {
+    const [front, back] = flangeOutline.outer;
+    const wall = interpolateStation(shellOutline.outer, back.x);
+    if (maxSectionRadius(shellOutline.outer, front.x, back.x) >= back.r) {
+        throw new Error('The horn wall is wider than the throat flange');
+    }
+    
+    return {
+        inner: shellOutline.inner,
+        outer: [
+            front,
+            { ...back, corner: true },
+            { ...wall, corner: true },
+            ...shellOutline.outer.filter(point => point.x > back.x)
+        ]
+    };
+}
+
+// Write a triangle mesh as binary STL data, with one normal per facet
+function createBinarySTL(mesh) {
+    const { vertices, indices } = mesh;
+    const triangleCount = indices.length / 3;
+    const view = new DataView(new ArrayBuffer(84 + triangleCount * 50));
+    view.setUint32(80, triangleCount, true);
+    
+    for (let t = 0; t < triangleCount; t++) {
+        const corners = [0, 1, 2].map(k => {
+            const index = indices[t * 3 + k] * 3;
+            return [vertices[index], vertices[index + 1], vertices[index + 2]];
+        });
+        
+        // Facet normal from the winding
+        const u = corners[1].map((value, k) => value - corners[0][k]);
+        const v = corners[2].map((value, k) => value - corners[0][k]);
+        const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const length = Math.hypot(...normal) || 1;
+        
+        const offset = 84 + t * 50;
+        normal.forEach((value, k) => view.setFloat32(offset + k * 4, value / length, true));
+        corners.forEach((corner, c) => {
+            corner.forEach((value, k) => view.setFloat32(offset + 12 + c * 12 + k * 4, value, true));
+        });
+    }
+    
+    return new Uint8Array(view.buffer);
+}
+
+// Calculate the figures shown in the info panel from the actual profile
+// Lengths are in mm, areas in mm² and volumes in mm³, with the speed of sound
+// in mm/s; it is returned with the figures so every chart can use the same value
+// The flare constant is the area flare m of the exponential horn with the same
+// Webster horn function r''/r at the throat, m = 2·√(r''/r). It equals d(ln S)/dx
+// for an exponential, gives the true cutoff of hypex horns and is zero for a cone.
+function calculateHornMetrics(profilePoints, shellOutline, flange, speedOfSound) {
+    const throat = profilePoints[0];
+    const mouth = profilePoints[profilePoints.length - 1];
+    
+    // Second derivative of the equivalent radius near the throat
+    const [p0, p1, p2] = profilePoints;
+    const h1 = p1.x - p0.x;
+    const h2 = p2.x - p1.x;
+    const curvature = 2 * (h1 * p2.r - (h1 + h2) * p1.r + h2 * p0.r) / (h1 * h2 * (h1 + h2));
+    
+    // Area flare constant and the cutoff it implies, fc = m·c / 4π
+    const flareConstant = 2 * Math.sqrt(Math.max(0, curvature / p1.r));
+    const flareCutoff = flareConstant * speedOfSound / (4 * Math.PI);
+    
+    // The mouth stops loading the driver once its circumference is shorter than a wavelength
+    const mouthPerimeter = sectionPerimeter(mouth);
+    const mouthCutoff = speedOfSound / mouthPerimeter;
+    
+    // Wall angle to the axis at the mouth, per axis for non-round mouths
+    const wallAngle = key => mouthWallAngle(profilePoints, key) * 180 / Math.PI;
+    const mouthAngle = mouth.rh === undefined
+        ? { horizontal: wallAngle('r'), vertical: wallAngle('r') }
+        : { horizontal: wallAngle('rh'), vertical: wallAngle('rv') };
+    
+    // Inner surface: each segment is a band between two cross-sections
+    let surfaceArea = 0;
+    for (let i = 0; i < profilePoints.length - 1; i++) {
+        const a = profilePoints[i];
+        const b = profilePoints[i + 1];
+        const slant = Math.hypot(b.x - a.x, b.r - a.r);
+        surfaceArea += (sectionPerimeter(a) + sectionPerimeter(b)) / 2 * slant;
+    }
+    
+    const airVolume = enclosedVolume(profilePoints);
+    
+    // Round walls are revolved outlines (Pappus); lofted walls are the outer
+    // solid less the air inside
+    let materialVolume;
+    if (throat.rh === undefined) {
+        const loop = shellOutline.inner.concat(shellOutline.outer.slice().reverse());
+        let revolved = 0;
+        for (let i = 0; i < loop.length; i++) {
+            const a = loop[i];
+            const b = loop[(i + 1) % loop.length];
+            revolved += (b.x - a.x) * (a.r * a.r + a.r * b.r + b.r * b.r);
+        }
+        materialVolume = Math.abs(revolved) * Math.PI / 3;
+    } else {
+        materialVolume = enclosedVolume(shellOutline.outer) - airVolume;
+    }
+    
+    // The flange adds the ring outside the horn wall, less its bolt holes
+    if (flange) {
+        const flangeRadius = flange.diameter / 2;
+        const steps = 20;
+        for (let i = 0; i < steps; i++) {
+            const x = throat.x + (i + 0.5) / steps * flange.thickness;
+            const wallRadius = Math.min(flangeRadius, interpolateRadius(shellOutline.outer, x));
+            materialVolume += Math.PI * (flangeRadius ** 2 - wallRadius ** 2) * flange.thickness / steps;
+        }
+        materialVolume -= flange.boltHoleCount * Math.PI * (flange.boltHoleDiameter / 2) ** 2 * flange.thickness;
+    }
+    
+    return {
+        length: mouth.x - throat.x,
+        mouthWidth: 2 * (mouth.rh === undefined ? mouth.r : mouth.rh),
+        mouthHeight: 2 * (mouth.rv === undefined ? mouth.r : mouth.rv),
+        flareConstant,
+        flareCutoff,
+        mouthCutoff,
+        mouthAngle,
+        airVolume,
+        materialVolume,
+        surfaceArea,
+        speedOfSound
+    };
+}
+
+// Perimeter of a station's cross-section
+function sectionPerimeter(station) {
+    if (station.rh === undefined) {
+        return 2 * Math.PI * station.r;
+    }
+    
+    const outline = sectionOutline(station, SECTION_POINTS * 2);
+    let perimeter = 0;
+    for (let j = 0; j < outline.length; j++) {
+        const [y1, z1] = outline[j];
+        const [y2, z2] = outline[(j + 1) % outline.length];
+        perimeter += Math.hypot(y2 - y1, z2 - z1);
+    }
+    return perimeter;
+}
+
+// Volume enclosed by a run of stations, summed as frusta between cross-sections
+function enclosedVolume(stations) {
+    let volume = 0;
+    for (let i = 0; i < stations.length - 1; i++) {
+        const area1 = sectionArea(stations[i]);
+        const area2 = sectionArea(stations[i + 1]);
+        volume += (stations[i + 1].x - stations[i].x) * (area1 + area2 + Math.sqrt(area1 * area2)) / 3;
+    }
+    return volume;
+}
+
+// Radius of a curve at an axial position, interpolated between its points
+function interpolateRadius(points, x) {
+    for (let i = 0; i < points.length - 1; i++) {
+        if (x <= points[i + 1].x) {
+            const t = (x - points[i].x) / (points[i + 1].x - points[i].x);
+            return points[i].r + (points[i + 1].r - points[i].r) * Math.max(0, Math.min(1, t));
+        }
+    }
+    return points[points.length - 1].r;
+}
+
+// Calculate the throat acoustic impedance of a profile
+// The horn is treated as a chain of conical segments, one per pair of profile
+// points, each carrying spherical waves along its slant length (the segmented
+// solution of Webster's horn equation). The mouth is terminated by the
+// radiation impedance of a piston in an infinite baffle or in free space.
+// Results are normalized to the characteristic impedance ρc/S of the throat,
+// with the speed of sound c in mm/s.
+function calculateThroatImpedance(profilePoints, load, speedOfSound) {
+    const results = [];
+    const throatArea = Math.PI * profilePoints[0].r ** 2;
+    const mouthRadius = profilePoints[profilePoints.length - 1].r;
+    const mouthArea = Math.PI * mouthRadius ** 2;
+    const ratio = ANALYSIS_MAX_FREQUENCY / ANALYSIS_MIN_FREQUENCY;
+    
+    for (let i = 0; i < ANALYSIS_FREQUENCY_POINTS; i++) {
+        const frequency = ANALYSIS_MIN_FREQUENCY * Math.pow(ratio, i / (ANALYSIS_FREQUENCY_POINTS - 1));
+        const k = 2 * Math.PI * frequency / speedOfSound;
+        
+        // Work with ρc = 1, so an impedance ρc/S becomes 1/S
+        let impedance = complexScale(radiationImpedance(k * mouthRadius, load), 1 / mouthArea);
+        
+        // Transfer the load from the mouth back to the throat
+        for (let j = profilePoints.length - 2; j >= 0; j--) {
+            const transfer = conicalSegmentTransfer(profilePoints[j], profilePoints[j + 1], k);
+            impedance = complexDiv(
+                complexAdd(complexMul(transfer[0][0], impedance), transfer[0][1]),
+                complexAdd(complexMul(transfer[1][0], impedance), transfer[1][1])
+            );
+        }
+        
+        const normalized = complexScale(impedance, throatArea);
+        results.push({ frequency, resistance: normalized.re, reactance: normalized.im });
+    }
+    
+    return results;
+}
+
+// Transfer matrix [[A, B], [C, D]] relating (pressure, volume velocity) at the
+// narrow end of a conical segment to those at its wide end, with ρc = 1
+function conicalSegmentTransfer(start, end, k) {
+    const length = Math.hypot(end.x - start.x, end.r - start.r);
+    const area1 = Math.PI * start.r ** 2;
+    const area2 = Math.PI * end.r ** 2;
+    
+    // Parallel segments carry plane waves
+    if (Math.abs(end.r - start.r) < 1e-9 * length) {
+        const cos = complex(Math.cos(k * length), 0);
+        const sin = Math.sin(k * length);
+        return [
+            [cos, complex(0, sin / area1)],
+            [complex(0, sin * area1), cos]
+        ];
+    }
+    
+    // Distances from the cone apex to either end
+    const x1 = start.r * length / (end.r - start.r);
+    const x2 = x1 + length;
+    
+    return complexMatrixMul(sphericalWaveMatrix(x1, area1, k), complexMatrixInverse(sphericalWaveMatrix(x2, area2, k)));
+}
+
+// Matrix mapping outgoing and incoming spherical wave amplitudes to
+// (pressure, volume velocity) at distance x from a cone apex
+// p = (a·e^(−jkx) + b·e^(jkx)) / x and U = (jS / k)·dp/dx with ρc = 1
+function sphericalWaveMatrix(x, area, k) {
+    const outgoing = complex(Math.cos(k * x), -Math.sin(k * x));
+    const incoming = complex(Math.cos(k * x), Math.sin(k * x));
+    const scale = complex(0, area / k);
+    
+    return [
+        [complexScale(outgoing, 1 / x), complexScale(incoming, 1 / x)],
+        [
+            complexMul(scale, complexMul(outgoing, complex(-1 / (x * x), -k / x))),
+            complexMul(scale, complexMul(incoming, complex(-1 / (x * x), k / x)))
+        ]
+    ];
+}
+
+// Predict the directivity of a profile from the wavefront leaving its mouth
+// The wavefront is a spherical cap meeting the wall at right angles, so its
+// half-angle is the wall's flare angle at the mouth: a flat piston for a
+// parallel wall and a hemisphere for a wall that has turned out to 90°. The
+// cap moves with uniform normal velocity and each element radiates with the
+// obliquity factor (1 + cos ψ)/2, which stands in for the horn body behind
+// the mouth. A non-round mouth is treated one plane at a time, using its
+// horizontal and vertical half-widths.
+// Returns { frequency, horizontal, vertical, directivityIndex } per frequency,
+// with the -6 dB beamwidths in degrees and the directivity index in dB.
+// The speed of sound is in mm/s, like the profile.
+function calculateDirectivity(profilePoints, speedOfSound) {
+    const results = [];
+    const round = profilePoints[profilePoints.length - 1].rh === undefined;
+    const horizontalCap = mouthWavefront(profilePoints, 'horizontal');
+    const verticalCap = mouthWavefront(profilePoints, 'vertical');
+    const ratio = ANALYSIS_MAX_FREQUENCY / ANALYSIS_MIN_FREQUENCY;
+    
+    for (let i = 0; i < DIRECTIVITY_FREQUENCY_POINTS; i++) {
+        const frequency = ANALYSIS_MIN_FREQUENCY * Math.pow(ratio, i / (DIRECTIVITY_FREQUENCY_POINTS - 1));
+        const horizontal = wavefrontResponse(horizontalCap, frequency, speedOfSound);
+        const vertical = round ? horizontal : wavefrontResponse(verticalCap, frequency, speedOfSound);
+        
+        // The power on the sphere, taking the response between the two planes as
+        // p²(θ, φ) = p²h(θ)·cos²φ + p²v(θ)·sin²φ; a round mouth gives 2 / ∫p² sin θ dθ
+        const power = sphericalPower(horizontal) + sphericalPower(vertical);
+        
+        results.push({
+            frequency,
+            horizontal: beamwidth(horizontal),
+            vertical: beamwidth(vertical),
+            directivityIndex: 10 * Math.log10(4 / power)
+        });
+    }
+    
+    return results;
+}
+
+// Polar response of a profile at one frequency in the 'horizontal' or 'vertical'
+// plane, as { angle, level } from the axis (0°) to behind the mouth (180°),
+// in dB relative to the axis
+function calculatePolarResponse(profilePoints, frequency, plane, speedOfSound) {
+    return wavefrontResponse(mouthWavefront(profilePoints, plane), frequency, speedOfSound).map(p => ({
+        angle: p.angle,
+        level: 20 * Math.log10(Math.max(p.pressure, 1e-3))
+    }));
+}
+
+// Spherical cap wavefront at the mouth in one plane, as { radius, angle }:
+// the mouth half-width and the half-angle of the cap
+function mouthWavefront(profilePoints, plane) {
+    const mouth = profilePoints[profilePoints.length - 1];
+    const key = mouth.rh === undefined ? 'r' : plane === 'vertical' ? 'rv' : 'rh';
+    const angle = mouthWallAngle(profilePoints, key);
+    
+    return { radius: mouth[key], angle: Math.min(Math.max(angle, MIN_WAVEFRONT_ANGLE), Math.PI / 2) };
+}
+
+// Pressure magnitude of a cap wavefront at each polar angle, relative to the axis
+function wavefrontResponse(cap, frequency, speedOfSound) {
+    const k = 2 * Math.PI * frequency / speedOfSound;
+    const samples = [];
+    
+    for (let angle = 0; angle <= 180; angle += DIRECTIVITY_ANGLE_STEP) {
+        samples.push({ angle, pressure: wavefrontPressure(cap, k, angle * Math.PI / 180) });
+    }
+    
+    const axis = samples[0].pressure;
+    samples.forEach(p => { p.pressure /= axis; });
+    return samples;
+}
+
+// Far-field pressure of a cap wavefront at angle theta from the axis
+// The cap is cut into rings, fine enough for several per wavelength along its
+// arc; the integral around each ring is done exactly with Bessel functions
+function wavefrontPressure(cap, k, theta) {
+    const sphere = cap.radius / Math.sin(cap.angle);
+    const rings = Math.max(8, Math.ceil(2 * k * sphere * cap.angle));
+    const step = cap.angle / rings;
+    const cosTheta = Math.cos(theta);
+    const sinTheta = Math.sin(theta);
+    let re = 0;
+    let im = 0;
+    
+    for (let i = 0; i < rings; i++) {
+        const alpha = (i + 0.5) * step;
+        const sinAlpha = Math.sin(alpha);
+        const cosAlpha = Math.cos(alpha);
+        const area = sphere * sphere * sinAlpha * step;
+        const z = k * sphere * sinAlpha * sinTheta;
+        
+        // Around the ring the obliquity is (1 + cos α·cos θ + sin α·sin θ·cos φ)/2
+        // and the phase k·ρ·sin θ·cos φ, integrating to J0 and j·J1 terms
+        const even = (1 + cosAlpha * cosTheta) * besselJ0(z) / 2;
+        const odd = sinAlpha * sinTheta * besselJ1(z) / 2;
+        
+        // Rings away from the axis sit behind the crown of the cap
+        const phase = -2 * k * sphere * Math.sin(alpha / 2) ** 2 * cosTheta;
+        const cos = Math.cos(phase);
+        const sin = Math.sin(phase);
+        re += area * (even * cos - odd * sin);
+        im += area * (even * sin + odd * cos);
+    }
+    
+    return Math.hypot(re, im);
+}
+
+// Included angle between the -6 dB points of a polar response, or 360° when it never falls that far
+function beamwidth(samples) {
+    const limit = Math.pow(10, -6 / 20);
+    
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i].pressure <= limit) {
+            const a = samples[i - 1];
+            const b = samples[i];
+            const t = (a.pressure - limit) / (a.pressure - b.pressure);
+            return 2 * (a.angle + t * (b.angle - a.angle));
+        }
+    }
+    return 360;
+}
+
+// ∫ p² sin θ dθ over a polar response from 0 to 180° (trapezoidal rule)
+function sphericalPower(samples) {
+    let power = 0;
+    
+    for (let i = 1; i < samples.length; i++) {
+        const a = samples[i - 1];
+        const b = samples[i];
+        const step = (b.angle - a.angle) * Math.PI / 180;
+        power += step * (a.pressure ** 2 * Math.sin(a.angle * Math.PI / 180) + b.pressure ** 2 * Math.sin(b.angle * Math.PI / 180)) / 2;
+    }
+    return power;
+}
+
+// Normalized radiation impedance of a mouth of radius a at wavenumber k (ka)
+function radiationImpedance(ka, load) {
+    if (load === 'baffle') {
+        // Rigid piston in an infinite baffle
+        const x = 2 * ka;
+        return complex(1 - 2 * besselJ1(x) / x, 2 * struveH1(x) / x);
+    }
+    
+    // Unflanged opening in free space, approximated so the low-frequency limit
+    // is (ka)²/4 + j·0.6133·ka and the impedance tends to ρc/S at high frequencies
+    const numerator = complex(ka * ka / 4, 0.6133 * ka);
+    return complexDiv(numerator, complexAdd(complex(1, 0), numerator));
+}
+
+// Bessel function of the first kind, order 0 (polynomial approximation)
+function besselJ0(x) {
+    const ax = Math.abs(x);
+    
+    if (ax < 8) {
+        const y = x * x;
+        const p = 57568490574.0 + y * (-13362590354.0 + y * (651619640.7 + y * (-11214424.18 + y * (77392.33017 + y * -184.9052456))));
+        const q = 57568490411.0 + y * (1029532985.0 + y * (9494680.718 + y * (59272.64853 + y * (267.8532712 + y))));
+        return p / q;
+    }
+    
+    const z = 8 / ax;
+    const y = z * z;
+    const xx = ax - 0.785398164;
+    const p = 1 + y * (-0.1098628627e-2 + y * (0.2734510407e-4 + y * (-0.2073370639e-5 + y * 0.2093887211e-6)));
+    const q = -0.1562499995e-1 + y * (0.1430488765e-3 + y * (-0.6911147651e-5 + y * (0.7621095161e-6 - y * 0.934935152e-7)));
+    return Math.sqrt(0.636619772 / ax) * (Math.cos(xx) * p - z * Math.sin(xx) * q);
+}
+
+// Bessel function of the first kind, order 1 (polynomial approximation)
+function besselJ1(x) {
+    const ax = Math.abs(x);
+    
+    if (ax < 8) {
+        const y = x * x;
+        const p = x * (72362614232.0 + y * (-7895059235.0 + y * (242396853.1 + y * (-2972611.439 + y * (15704.48260 + y * -30.16036606)))));
+        const q = 144725228442.0 + y * (2300535178.0 + y * (18583304.74 + y * (99447.43394 + y * (376.9991397 + y))));
+        return p / q;
+    }
+    
+    const z = 8 / ax;
+    const y = z * z;
+    const xx = ax - 2.356194491;
+    const p = 1 + y * (0.183105e-2 + y * (-0.3516396496e-4 + y * (0.2457520174e-5 + y * -0.240337019e-6)));
+    const q = 0.04687499995 + y * (-0.2002690873e-3 + y * (0.8449199096e-5 + y * (-0.88228987e-6 + y * 0.105787412e-6)));
+    return Math.sqrt(0.636619772 / ax) * (Math.cos(xx) * p - z * Math.sin(xx) * q) * Math.sign(x);
+}
+
+// Struve function H1 (Aarts & Janssen approximation)
+function struveH1(x) {
+    return 2 / Math.PI - besselJ0(x) +
+        (16 / Math.PI - 5) * Math.sin(x) / x +
+        (12 - 36 / Math.PI) * (1 - Math.cos(x)) / (x * x);
+}
+
+// Complex number helpers
+function complex(re, im) {
+    return { re, im };
+}
+
+function complexAdd(a, b) {
+    return complex(a.re + b.re, a.im + b.im);
+}
+
+function complexMul(a, b) {
+    return complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+}
+
+function complexDiv(a, b) {
+    const denominator = b.re * b.re + b.im * b.im;
+    return complex((a.re * b.re + a.im * b.im) / denominator, (a.im * b.re - a.re * b.im) / denominator);
+}
+
+function complexScale(a, factor) {
+    return complex(a.re * factor, a.im * factor);
+}
+
+function complexMatrixMul(m, n) {
+    return [0, 1].map(i => [0, 1].map(j => complexAdd(complexMul(m[i][0], n[0][j]), complexMul(m[i][1], n[1][j]))));
+}
+
+function complexMatrixInverse(m) {
+    const determinant = complexAdd(complexMul(m[0][0], m[1][1]), complexScale(complexMul(m[0][1], m[1][0]), -1));
+    return [
+        [complexDiv(m[1][1], determinant), complexDiv(complexScale(m[0][1], -1), determinant)],
+        [complexDiv(complexScale(m[1][0], -1), determinant), complexDiv(m[0][0], determinant)]
+    ];
+}
+
+// Write a shape to the OpenCascade virtual filesystem as STEP, IGES or BREP
+function writeCADFile(shape, format, filename) {
+    if (format === 'step') {
+        const writer = new oc.STEPControl_Writer_1();
+        const transferred = writer.Transfer(shape, oc.STEPControl_StepModelType.STEPControl_AsIs, true, new oc.Message_ProgressRange_1());
+        if (transferred !== oc.IFSelect_ReturnStatus.IFSelect_RetDone || writer.Write(filename) !== oc.IFSelect_ReturnStatus.IFSelect_RetDone) {
+            throw new Error('Failed to write STEP file');
+        }
+    } else if (format === 'iges') {
+        // Write faces as B-rep solids in millimetres
+        const writer = new oc.IGESControl_Writer_2('MM', 1);
+        writer.AddShape(shape, new oc.Message_ProgressRange_1());
+        writer.ComputeModel();
+        if (!writer.Write_2(filename, false)) {
+            throw new Error('Failed to write IGES file');
+        }
+    } else if (format === 'brep') {
+        if (!oc.BRepTools.Write_3(shape, filename, new oc.Message_ProgressRange_1())) {
+            throw new Error('Failed to write BREP file');
+        }
+    } else {
+        throw new Error('Unknown CAD format: ' + format);
+    }
+}
+
+// Return a shape as STEP, IGES or BREP file data
+function writeCADData(shape, format) {
+    const filename = 'horn.' + CAD_FORMATS[format].extension;
+    writeCADFile(shape, format, filename);
+    
+    const data = oc.FS.readFile('/' + filename);
+    oc.FS.unlink('/' + filename);
+    return data;
+}
+
+// Sample a profile every interval along the axis, always ending at the mouth
+function sampleProfile(profile, interval) {
+    if (!(interval > 0)) {
+        throw new Error('The station interval must be greater than zero');
+    }
+    
+    const start = profile[0].x;
+    const end = profile[profile.length - 1].x;
+    const stations = [];
+    for (let i = 0; start + i * interval < end - 1e-6; i++) {
+        stations.push(interpolateStation(profile, start + i * interval));
+    }
+    stations.push(interpolateStation(profile, end));
+    return stations;
+}
+
+// Table of the flare coordinates at every station, in a unit of LENGTH_UNITS
+// Non-round horns list the horizontal and vertical half-widths instead of r
+function createProfileCSV(profile, interval, units = 'mm') {
+    const unit = LENGTH_UNITS[units];
+    const nonRound = profile[0].rh !== undefined;
+    const headings = nonRound ? ['x', 'half width', 'half height'] : ['x', 'r'];
+    const rows = [headings.map(heading => `${heading} (${unit.label})`).join(',')];
+    
+    for (const station of sampleProfile(profile, interval)) {
+        const values = nonRound ? [station.x, station.rh, station.rv] : [station.x, station.r];
+        rows.push(values.map(value => (value / unit.scale).toFixed(unit.decimals)).join(','));
+    }
+    return rows.join('\n') + '\n';
+}
+
+// Dimensioned half-section of a horn from buildHorn, drawn 1:1 in millimetres
+// with the axis along x and dimensioned in a unit of LENGTH_UNITS. Round horns
+// are mirrored about the axis; non-round horns show the horizontal section
+// above the axis and the vertical below.
+// Entities are polylines, circles and text on the layers of DRAWING_LAYERS.
+function createProfileDrawing(horn, interval, units = 'mm') {
+    const { profile, shellOutline, flangeOutline, metrics } = horn;
+    const unit = LENGTH_UNITS[units];
+    const dimension = (value, places = unit.places) => (value / unit.scale).toFixed(places);
+    const nonRound = profile[0].rh !== undefined;
+    const halves = [{ key: nonRound ? 'rh' : 'r', sign: 1 }, { key: nonRound ? 'rv' : 'r', sign: -1 }];
+    const radius = (point, key) => point[key] !== undefined ? point[key] : point.r;
+    const entities = [];
+    
+    // Wall and flange sections, each closed through the throat and mouth faces
+    for (const { key, sign } of halves) {
+        for (const outline of [shellOutline, flangeOutline].filter(Boolean)) {
+            const points = [...outline.inner, ...outline.outer.slice().reverse()];
+            entities.push({ type: 'polyline', layer: 'OUTLINE', closed: true, points: points.map(p => [p.x, sign * radius(p, key)]) });
+        }
+    }
+    
+    const { minX, minY, maxX, maxY } = drawingBounds(entities);
+    entities.push({ type: 'polyline', layer: 'CENTERLINE', points: [[minX - 5, 0], [maxX + 5, 0]] });
+    
+    // Station marks on the flare, numbered by their distance from the throat
+    for (const station of sampleProfile(profile, interval)) {
+        for (const { key, sign } of halves) {
+            const r = radius(station, key);
+            entities.push({ type: 'polyline', layer: 'STATIONS', points: [[station.x, sign * (r - 3)], [station.x, sign * r]] });
+        }
+        entities.push({ type: 'text', layer: 'STATIONS', x: station.x + 0.9, y: 1.5, height: 2.5, rotation: 90, text: dimension(station.x, unit.places - 1) });
+    }
+    
+    // Flare length below the section
+    const throat = profile[0];
+    const mouth = profile[profile.length - 1];
+    const lengthY = minY - 12;
+    entities.push(
+        ...dimensionLine([throat.x, lengthY], [mouth.x, lengthY], [0, 1], minY - 2 - lengthY),
+        { type: 'text', layer: 'DIMENSIONS', x: (throat.x + mouth.x) / 2, y: lengthY + 1, height: 3.5, align: 'center', text: dimension(metrics.length) }
+    );
+    
+    // Throat diameter left of the section
+    const throatX = minX - 12;
+    entities.push(
+        ...dimensionLine([throatX, -throat.r], [throatX, throat.r], [1, 0], throat.x - 2 - throatX),
+        { type: 'text', layer: 'DIMENSIONS', x: throatX - 1, y: 0, height: 3.5, align: 'center', rotation: 90, text: 'Ø ' + dimension(throat.r * 2) }
+    );
+    
+    // Mouth diameter, or the half-widths of a non-round mouth, right of the section
+    const mouthX = maxX + 12;
+    if (nonRound) {
+        for (const { key, sign } of halves) {
+            entities.push(
+                ...dimensionLine([mouthX, 0], [mouthX, sign * mouth[key]], [-1, 0], mouthX - mouth.x - 2),
+                { type: 'text', layer: 'DIMENSIONS', x: mouthX - 1, y: sign * mouth[key] / 2, height: 3.5, align: 'center', rotation: 90, text: 'R ' + dimension(mouth[key]) }
+            );
+        }
+        entities.push({ type: 'text', layer: 'NOTES', x: minX, y: lengthY - 14, height: 3.5, text: 'Above the axis: horizontal section. Below the axis: vertical section.' });
+    } else {
+        entities.push(
+            ...dimensionLine([mouthX, -mouth.r], [mouthX, mouth.r], [-1, 0], mouthX - mouth.x - 2),
+            { type: 'text', layer: 'DIMENSIONS', x: mouthX - 1, y: 0, height: 3.5, align: 'center', rotation: 90, text: 'Ø ' + dimension(mouth.r * 2) }
+        );
+    }
+    entities.push({ type: 'text', layer: 'NOTES', x: minX, y: lengthY - 8, height: 3.5, text: `Scale 1:1, dimensions in ${unit.label}` });
+    
+    return { entities, bounds: drawingBounds(entities), units };
+}
+
+// Dimension line between two points with arrowheads and extension lines
+// reaching back by extension along the direction towards the dimensioned part
+function dimensionLine(from, to, towards, extension) {
+    const length = Math.hypot(to[0] - from[0], to[1] - from[1]);
+    const along = [(to[0] - from[0]) / length, (to[1] - from[1]) / length];
+    const arrow = (tip, direction) => [-1, 1].map(side => ({
+        type: 'polyline',
+        layer: 'DIMENSIONS',
+        points: [tip, [
+            tip[0] + 3 * direction[0] - 1 * side * direction[1],
+            tip[1] + 3 * direction[1] + 1 * side * direction[0]
+        ]]
+    }));
+    const extensionLine = point => ({
+        type: 'polyline',
+        layer: 'DIMENSIONS',
+        points: [
+            [point[0] - 2 * towards[0], point[1] - 2 * towards[1]],
+            [point[0] + extension * towards[0], point[1] + extension * towards[1]]
+        ]
+    });
+    
+    return [
+        { type: 'polyline', layer: 'DIMENSIONS', points: [from, to] },
+        ...arrow(from, along),
+        ...arrow(to, [-along[0], -along[1]]),
+        extensionLine(from),
+        extensionLine(to)
+    ];
+}
+
+// Extent of the lines and circles of a drawing; text is left to the margins
+function drawingBounds(entities) {
+    const xs = [];
+    const ys = [];
+    for (const entity of entities) {
+        if (entity.type === 'polyline') {
+            entity.points.forEach(([x, y]) => {
+                xs.push(x);
+                ys.push(y);
+            });
+        } else if (entity.type === 'circle') {
+            xs.push(entity.x - entity.r, entity.x + entity.r);
+            ys.push(entity.y - entity.r, entity.y + entity.r);
+        }
+    }
+    return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+// Rings for building a horn from stacked sheets of a material thickness,
+// numbered from the throat. Each hole is the flare at the ring's throat face,
+// so the steps are sanded back to the curve, and each outside leaves the wall
+// thickness around the flare at the ring's mouth face.
+function createLayerRings(profile, wallThickness, layerThickness) {
+    if (!(layerThickness > 0)) {
+        throw new Error('The layer thickness must be greater than zero');
+    }
+    
+    const start = profile[0].x;
+    const end = profile[profile.length - 1].x;
+    const count = Math.ceil((end - start) / layerThickness - 1e-6);
+    const rings = [];
+    
+    for (let i = 0; i < count; i++) {
+        const x0 = start + i * layerThickness;
+        const x1 = Math.min(end, x0 + layerThickness);
+        const outer = { ...interpolateStation(profile, x1) };
+        for (const key of ['r', 'rh', 'rv']) {
+            if (key in outer) {
+                outer[key] += wallThickness;
+            }
+        }
+        rings.push({ index: i + 1, x0, x1, hole: interpolateStation(profile, x0), outer });
+    }
+    return rings;
+}
+
+// Cutting outline of one stacked ring, seen from the mouth, with a centre mark
+function createRingDrawing(ring, units = 'mm') {
+    const unit = LENGTH_UNITS[units];
+    const entities = [ring.outer, ring.hole].map(station => station.rh === undefined
+        ? { type: 'circle', layer: 'OUTLINE', x: 0, y: 0, r: station.r }
+        : { type: 'polyline', layer: 'OUTLINE', closed: true, points: sectionOutline(station, 128).map(([y, z]) => [z, y]) });
+    
+    entities.push(
+        { type: 'polyline', layer: 'CENTERLINE', points: [[-5, 0], [5, 0]] },
+        { type: 'polyline', layer: 'CENTERLINE', points: [[0, -5], [0, 5]] }
+    );
+    
+    const { minY } = drawingBounds(entities);
+    entities.push({
+        type: 'text',
+        layer: 'NOTES',
+        x: 0,
+        y: minY - 8,
+        height: 3.5,
+        align: 'center',
+        text: `Layer ${ring.index}: ${(ring.x0 / unit.scale).toFixed(unit.places)} to ${(ring.x1 / unit.scale).toFixed(unit.places)} ${unit.label} from the throat`
+    });
+    
+    return { entities, bounds: drawingBounds(entities), units };
+}
+
+// Write a drawing as SVG at 1:1 in millimetres, one group per layer
+function createSVG(drawing) {
+    const margin = DRAWING_MARGIN;
+    const { minX, minY, maxX, maxY } = drawing.bounds;
+    const width = maxX - minX + 2 * margin;
+    const height = maxY - minY + 2 * margin;
+    const n = value => Number(value.toFixed(3));
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const anchors = { left: 'start', center: 'middle', right: 'end' };
+    
+    // SVG y runs downwards, so every y is negated
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${n(width)}mm" height="${n(height)}mm" viewBox="${n(minX - margin)} ${n(-maxY - margin)} ${n(width)} ${n(height)}">`
+    ];
+    
+    for (const [name, layer] of Object.entries(DRAWING_LAYERS)) {
+        const entities = drawing.entities.filter(entity => entity.layer === name);
+        if (entities.length === 0) {
+            continue;
+        }
+        
+        const dash = layer.dash ? ` stroke-dasharray="${layer.dash}"` : '';
+        lines.push(`<g id="${name}" fill="none" stroke="${layer.color}" stroke-width="${layer.width}"${dash}>`);
+        for (const entity of entities) {
+            if (entity.type === 'polyline') {
+                const points = entity.points.map(([x, y]) => `${n(x)},${n(-y)}`).join(' ');
+                lines.push(`<${entity.closed ? 'polygon' : 'polyline'} points="${points}"/>`);
+            } else if (entity.type === 'circle') {
+                lines.push(`<circle cx="${n(entity.x)}" cy="${n(-entity.y)}" r="${n(entity.r)}"/>`);
+            } else if (entity.type === 'text') {
+                const rotate = entity.rotation ? ` transform="rotate(${-entity.rotation} ${n(entity.x)} ${n(-entity.y)})"` : '';
+                lines.push(`<text x="${n(entity.x)}" y="${n(-entity.y)}" font-family="sans-serif" font-size="${entity.height}" ` +
+                    `text-anchor="${anchors[entity.align || 'left']}" fill="${layer.color}" stroke="none"${rotate}>${escape(entity.text)}</text>`);
+            }
+        }
+        lines.push('</g>');
+    }
+    
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+// Write a drawing as an AutoCAD R12 (AC1009) DXF in the drawing's units,
+// millimetres unless it names one of LENGTH_UNITS
+function createDXF(drawing) {
+    const { minX, minY, maxX, maxY } = drawing.bounds;
+    const unit = LENGTH_UNITS[drawing.units || 'mm'];
+    const n = value => Number((value / unit.scale).toFixed(unit.decimals + 1));
+    const pairs = [];
+    const add = (...codeValues) => {
+        for (let i = 0; i < codeValues.length; i += 2) {
+            pairs.push(codeValues[i], codeValues[i + 1]);
+        }
+    };
+    
+    // R12 text is not Unicode; use the DXF control codes for the symbols we draw
+    const dxfText = text => text.replace(/Ø/g, '%%c').replace(/°/g, '%%d').replace(/±/g, '%%p');
+    
+    add(0, 'SECTION', 2, 'HEADER',
+        9, '$ACADVER', 1, 'AC1009',
+        9, '$INSUNITS', 70, unit.insunits,
+        9, '$EXTMIN', 10, n(minX), 20, n(minY),
+        9, '$EXTMAX', 10, n(maxX), 20, n(maxY),
+        0, 'ENDSEC');
+    
+    add(0, 'SECTION', 2, 'TABLES');
+    add(0, 'TABLE', 2, 'LTYPE', 70, 2);
+    add(0, 'LTYPE', 2, 'CONTINUOUS', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0);
+    add(0, 'LTYPE', 2, 'CENTER', 70, 0, 3, 'Center ____ _ ____ _', 72, 65, 73, 4, 40, n(14),
+        49, n(8), 49, n(-2), 49, n(2), 49, n(-2));
+    add(0, 'ENDTAB');
+    add(0, 'TABLE', 2, 'LAYER', 70, Object.keys(DRAWING_LAYERS).length);
+    for (const [name, layer] of Object.entries(DRAWING_LAYERS)) {
+        add(0, 'LAYER', 2, name, 70, 0, 62, layer.aci, 6, layer.dash ? 'CENTER' : 'CONTINUOUS');
+    }
+    add(0, 'ENDTAB', 0, 'ENDSEC');
+    
+    add(0, 'SECTION', 2, 'ENTITIES');
+    for (const entity of drawing.entities) {
+        if (entity.type === 'polyline') {
+            add(0, 'POLYLINE', 8, entity.layer, 66, 1, 10, 0, 20, 0, 30, 0, 70, entity.closed ? 1 : 0);
+            for (const [x, y] of entity.points) {
+                add(0, 'VERTEX', 8, entity.layer, 10, n(x), 20, n(y), 30, 0);
+            }
+            add(0, 'SEQEND', 8, entity.layer);
+        } else if (entity.type === 'circle') {
+            add(0, 'CIRCLE', 8, entity.layer, 10, n(entity.x), 20, n(entity.y), 30, 0, 40, n(entity.r));
+        } else if (entity.type === 'text') {
+            // Aligned text is placed by its second alignment point
+            const align = { left: 0, center: 1, right: 2 }[entity.align || 'left'];
+            add(0, 'TEXT', 8, entity.layer, 10, n(entity.x), 20, n(entity.y), 30, 0, 40, n(entity.height), 1, dxfText(entity.text));
+            if (entity.rotation) {
+                add(50, entity.rotation);
+            }
+            if (align) {
+                add(72, align, 11, n(entity.x), 21, n(entity.y), 31, 0);
+            }
+        }
+    }
+    add(0, 'ENDSEC', 0, 'EOF');
+    
+    return pairs.join('\n') + '\n';
+}
+
+// Write a millimetre triangle mesh in one of MESH_FORMATS, scaled to a unit of
+// LENGTH_UNITS; STL and OBJ carry no units, so a slicer has to be told which
+// was used. GLB is always in metres.
+function writeMeshData(mesh, format, units = 'mm') {
+    const scaled = scaleMesh(mesh, 1 / LENGTH_UNITS[units].scale);
+    if (format === 'stl') {
+        return createBinarySTL(scaled);
+    } else if (format === 'obj') {
+        return new TextEncoder().encode(createOBJ(scaled, units));
+    } else if (format === '3mf') {
+        return create3MF(scaled, units);
+    } else if (format === 'glb') {
+        return createGLB(mesh);
+    }
+    throw new Error('Unknown mesh format: ' + format);
+}
+
+// A copy of a mesh with its coordinates multiplied by a factor, or the mesh itself for 1
+function scaleMesh(mesh, factor) {
+    if (factor === 1) {
+        return mesh;
+    }
+    return { vertices: Array.from(mesh.vertices, value => value * factor), indices: mesh.indices };
+}
+
+// Write a triangle mesh as Wavefront OBJ, noting its units in a comment
+function createOBJ(mesh, units = 'mm') {
+    const { vertices, indices } = mesh;
+    const lines = ['# Horn Generator mesh, units: ' + LENGTH_UNITS[units].label, 'o horn'];
+    
+    for (let i = 0; i < vertices.length; i += 3) {
+        lines.push(`v ${formatCoordinate(vertices[i], units)} ${formatCoordinate(vertices[i + 1], units)} ${formatCoordinate(vertices[i + 2], units)}`);
+    }
+    
+    // OBJ counts vertices from 1
+    for (let t = 0; t < indices.length; t += 3) {
+        lines.push(`f ${indices[t] + 1} ${indices[t + 1] + 1} ${indices[t + 2] + 1}`);
+    }
+    
+    return lines.join('\n') + '\n';
+}
+
+// Write a triangle mesh as a 3MF package with its units set
+function create3MF(mesh, units = 'mm') {
+    const { vertices, indices } = mesh;
+    const encoder = new TextEncoder();
+    const model = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<model unit="${LENGTH_UNITS[units].name}" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">`,
+        '<resources>',
+        '<object id="1" type="model" name="horn">',
+        '<mesh>',
+        '<vertices>'
+    ];
+    
+    for (let i = 0; i < vertices.length; i += 3) {
+        model.push(`<vertex x="${formatCoordinate(vertices[i], units)}" y="${formatCoordinate(vertices[i + 1], units)}" z="${formatCoordinate(vertices[i + 2], units)}"/>`);
+    }
+    model.push('</vertices>', '<triangles>');
+    for (let t = 0; t < indices.length; t += 3) {
+        model.push(`<triangle v1="${indices[t]}" v2="${indices[t + 1]}" v3="${indices[t + 2]}"/>`);
+    }
+    model.push('</triangles>', '</mesh>', '</object>', '</resources>', '<build>', '<item objectid="1"/>', '</build>', '</model>');
+    
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>' +
+        '</Types>\n';
+    const relationships = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>' +
+        '</Relationships>\n';
+    
+    return createZip([
+        { name: '[Content_Types].xml', data: encoder.encode(contentTypes) },
+        { name: '_rels/.rels', data: encoder.encode(relationships) },
+        { name: '3D/3dmodel.model', data: encoder.encode(model.join('\n') + '\n') }
+    ]);
+}
+
+// Write a triangle mesh as binary glTF (GLB) for web viewers
+// glTF is in metres, so the millimetre coordinates are scaled down
+function createGLB(mesh) {
+    const positions = Float32Array.from(mesh.vertices, value => value / 1000);
+    const indices = Uint32Array.from(mesh.indices);
+    
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], positions[i + k]);
+            max[k] = Math.max(max[k], positions[i + k]);
+        }
+    }
+    
+    const binaryLength = positions.byteLength + indices.byteLength;
+    const gltf = {
+        asset: { version: '2.0', generator: 'Horn Generator' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0, name: 'horn' }],
+        meshes: [{ name: 'horn', primitives: [{ attributes: { POSITION: 0 }, indices: 1, material: 0 }] }],
+        // The preview's #667eea, in linear colour
+        materials: [{ pbrMetallicRoughness: { baseColorFactor: [0.133, 0.209, 0.823, 1], metallicFactor: 0, roughnessFactor: 0.6 } }],
+        buffers: [{ byteLength: binaryLength }],
+        bufferViews: [
+            { buffer: 0, byteOffset: 0, byteLength: positions.byteLength, target: 34962 }, // ARRAY_BUFFER
+            { buffer: 0, byteOffset: positions.byteLength, byteLength: indices.byteLength, target: 34963 } // ELEMENT_ARRAY_BUFFER
+        ],
+        accessors: [
+            { bufferView: 0, componentType: 5126, count: positions.length / 3, type: 'VEC3', min, max }, // FLOAT
+            { bufferView: 1, componentType: 5125, count: indices.length, type: 'SCALAR' } // UNSIGNED_INT
+        ]
+    };
+    
+    // Chunks are padded to four bytes, the JSON with spaces
+    let json = JSON.stringify(gltf);
+    json += ' '.repeat((4 - json.length % 4) % 4);
+    const jsonBytes = new TextEncoder().encode(json);
+    
+    const data = new Uint8Array(12 + 8 + jsonBytes.length + 8 + binaryLength);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, 0x46546C67, true); // glTF
+    view.setUint32(4, 2, true);
+    view.setUint32(8, data.length, true);
+    view.setUint32(12, jsonBytes.length, true);
+    view.setUint32(16, 0x4E4F534A, true); // JSON
+    data.set(jsonBytes, 20);
+    
+    const binaryStart = 20 + jsonBytes.length;
+    view.setUint32(binaryStart, binaryLength, true);
+    view.setUint32(binaryStart + 4, 0x004E4942, true); // BIN
+    data.set(new Uint8Array(positions.buffer), binaryStart + 8);
+    data.set(new Uint8Array(indices.buffer), binaryStart + 8 + positions.byteLength);
+    
+    return data;
+}
+
+// Coordinate in a text mesh format, to a tenth of a micron or finer in the given units
+function formatCoordinate(value, units = 'mm') {
+    return String(Number(value.toFixed(LENGTH_UNITS[units].decimals + 1)));
+}
+
+// Pack files into an uncompressed (stored) zip archive
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = file.data;
+        const crc = crc32(data);
+        
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        
+        offset += 30 + name.length + data.length;
+    }
+    
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
+
+// CRC-32 checksum of a byte array, as used by zip
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc ^= data[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Export the core for Node; in the browser everything above is already global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_DESIGN,
+        DESIGN_PARAMETERS,
+        DESIGN_LIMITS,
+        LENGTH_PARAMETERS,
+        LENGTH_UNITS,
+        HORN_TYPES,
+        validateDesign,
+        buildHorn,
+        sweepDesign,
+        solveDesignTargets,
+        hornParametersFromDesign,
+        speedOfSound,
+        formatLength,
+        calculateHornStations,
+        derivedDimensions,
+        parseProfilePoints,
+        compileFormula,
+        calculateShellOutline,
+        calculateHornMetrics,
+        calculateThroatImpedance,
+        calculateDirectivity,
+        calculatePolarResponse,
+        MESH_FORMATS,
+        buildHornMesh,
+        createHornMesh,
+        prepareExportMesh,
+        validateMesh,
+        repairMesh,
+        meshProblems,
+        writeMeshData,
+        createBinarySTL,
+        createDesignFile,
+        parseDesignFile,
+        planPrintSections,
+        printSettingsFromDesign,
+        createPrintSections,
+        writeCADData,
+        createProfileCSV,
+        createProfileDrawing,
+        createLayerRings,
+        createRingDrawing,
+        createSVG,
+        createDXF,
+        createZip
+    };
+}
@@ -0,0 +1,219 @@
+// Builds the horn solid, its meshes and its files away from the page
+// As a Web Worker this loads OpenCascade and horn-core.js itself and answers
+// the page's requests by message. The page also loads it as a plain script,
+// so the same requests run on the page's own thread, without OpenCascade,
+// where workers are unavailable.
+
+// OpenCascade build loaded into the worker
+const OPENCASCADE_URL = 'https://cdn.jsdelivr.net/npm/opencascade.js@2.0.0-beta.2/dist/';
+
+// The horn the other requests work on, as left by the last finished build
+let workerModel = { horn: null, mesh: null, sections: null };
+
+// Id of the newest build; older builds stop at their next stage
+let latestBuild = 0;
+
+// Thrown by a build that a newer one has replaced
+class BuildCancelled extends Error {
+    constructor() {
+        super('Replaced by a newer build');
+        this.name = 'BuildCancelled';
+    }
+}
+
+// Requests the page can make, each taking its id, its payload and a function
+// to report progress, and returning { result, transfer } where transfer lists
+// the buffers handed over to the page
+const MODEL_REQUESTS = {
+    // Build a design's solid and export mesh in stages
+    async build(id, { design }, progress) {
+        const stage = async (text, fraction) => {
+            progress(text, fraction);
+            // Let newer messages in; a newer build then cancels this one
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (id !== latestBuild) {
+                throw new BuildCancelled();
+            }
+        };
+        
+        await stage('Calculating the profile', 0);
+        const horn = buildHorn(design, { exports: false });
+        if (oc) {
+            await stage('Building the solid', 0.1);
+            horn.shape = createHornShape(horn.shellOutline, horn.flangeOutline, horn.flange, meshToleranceFromDesign(horn.design));
+        }
+        
+        await stage('Meshing', 0.6);
+        const mesh = createHornMesh(horn.shape, horn.shellOutline, horn.flangeOutline, meshToleranceFromDesign(horn.design));
+        
+        await stage('Checking the mesh', 0.85);
+        const prepared = prepareExportMesh(mesh, horn.design.meshRepair);
+        
+        workerModel = { horn, mesh: prepared.mesh, sections: null };
+        return meshResult(prepared, { solid: Boolean(horn.shape) });
+    },
+    
+    // Stop the build in progress without starting another
+    async cancel() {
+        return { result: null, transfer: [] };
+    },
+    
+    // Re-tessellate the current horn at a new tolerance or repair setting
+    async mesh(id, { design }) {
+        const { horn } = requireModel();
+        const mesh = createHornMesh(horn.shape, horn.shellOutline, horn.flangeOutline, meshToleranceFromDesign(design));
+        const prepared = prepareExportMesh(mesh, design.meshRepair);
+        
+        workerModel.mesh = prepared.mesh;
+        return meshResult(prepared, {});
+    },
+    
+    // Write the current export mesh in a mesh file format and length unit
+    async meshFile(id, { format, units }) {
+        const data = writeMeshData(requireModel().mesh, format, units);
+        return { result: { format, data }, transfer: [data.buffer] };
+    },
+    
+    // Write the current solid in a CAD exchange format
+    async cadFile(id, { format }) {
+        const data = writeCADData(requireSolid().shape, format);
+        return { result: { format, data }, transfer: [data.buffer] };
+    },
+    
+    // Cut the current solid into printable sections, returning a preview mesh of each
+    async split(id, { design }, progress) {
+        const { shape, shellOutline, wallThickness, flange } = requireSolid();
+        const split = printSettingsFromDesign(design);
+        const plan = planPrintSections(shellOutline, wallThickness, flange, split);
+        
+        progress('Cutting sections', 0);
+        workerModel.sections = createPrintSections(shape, shellOutline, wallThickness, plan, split);
+        const { result, transfer } = sectionMeshes(meshToleranceFromDesign(design), progress);
+        return { result: { rings: plan.rings, sections: result }, transfer };
+    },
+    
+    // Re-tessellate the current sections for the preview
+    async sectionMeshes(id, { design }, progress) {
+        return sectionMeshes(meshToleranceFromDesign(design), progress);
+    },
+    
+    // Zip one STL per section, listing the sections whose mesh fails its check
+    async sectionsFile(id, { design }, progress) {
+        const sections = requireSections();
+        const tolerance = meshToleranceFromDesign(design);
+        const problems = [];
+        const files = sections.map((section, i) => {
+            progress('Meshing ' + section.name, i / sections.length);
+            const { mesh, meshReport } = prepareExportMesh(createShapeMesh(section.shape, tolerance), design.meshRepair);
+            if (!meshReport.valid) {
+                problems.push(`${section.name}: ${meshProblems(meshReport).join(', ')}`);
+            }
+            return { name: section.name + '.stl', data: writeMeshData(mesh, 'stl', design.units) };
+        });
+        
+        const data = createZip(files);
+        return { result: { data, count: files.length, problems }, transfer: [data.buffer] };
+    }
+};
+
+// The last finished build, or an error when there is none yet
+function requireModel() {
+    if (!workerModel.horn) {
+        throw new Error('No horn has been built yet');
+    }
+    return workerModel;
+}
+
+// The OpenCascade solid of the last build
+function requireSolid() {
+    const { horn } = requireModel();
+    if (!horn.shape) {
+        throw new Error('This needs an OpenCascade model');
+    }
+    return horn;
+}
+
+// The sections of the last split
+function requireSections() {
+    if (!workerModel.sections) {
+        throw new Error('The horn has not been split into sections');
+    }
+    return workerModel.sections;
+}
+
+// Hand a mesh to the page as typed arrays, with its check and repair results
+function meshResult({ mesh, meshReport, meshRepairs }, extra) {
+    const buffers = meshBuffers(mesh);
+    return {
+        result: { ...extra, mesh: buffers, meshReport, meshRepairs },
+        transfer: [buffers.vertices.buffer, buffers.indices.buffer]
+    };
+}
+
+// Copy a mesh into transferable typed arrays
+function meshBuffers(mesh) {
+    return { vertices: Float32Array.from(mesh.vertices), indices: Uint32Array.from(mesh.indices) };
+}
+
+// Tessellate every current section with what the preview needs to place it
+function sectionMeshes(tolerance, progress) {
+    const sections = requireSections();
+    const transfer = [];
+    const result = sections.map((section, i) => {
+        progress('Meshing ' + section.name, i / sections.length);
+        const mesh = meshBuffers(createShapeMesh(section.shape, tolerance));
+        transfer.push(mesh.vertices.buffer, mesh.indices.buffer);
+        return { name: section.name, ring: section.ring, angle0: section.angle0, angle1: section.angle1, mesh };
+    });
+    return { result, transfer };
+}
+
+// Run one request once ready resolves
+// A build or cancel becomes the newest as soon as it is requested, so builds
+// already waiting or running give way to it
+async function runModelRequest(type, id, payload, progress, ready) {
+    if (type === 'build' || type === 'cancel') {
+        latestBuild = id;
+    }
+    await ready;
+    
+    const handler = MODEL_REQUESTS[type];
+    if (!handler) {
+        throw new Error(`Unknown request ${type}`);
+    }
+    return handler(id, payload, progress);
+}
+
+// Load OpenCascade into the worker, carrying on with the pure JavaScript mesh if it fails
+async function loadOpenCascade() {
+    try {
+        importScripts(OPENCASCADE_URL + 'opencascade.wasm.js');
+        self.postMessage({ type: 'status', text: 'Initializing OpenCascade...' });
+        oc = await opencascadeWasm({ locateFile: file => OPENCASCADE_URL + file });
+    } catch (error) {
+        console.error('Error loading OpenCascade in the worker:', error);
+        oc = null;
+    }
+    self.postMessage({ type: 'ready', opencascade: Boolean(oc) });
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    importScripts('horn-core.js');
+    const ready = loadOpenCascade();
+    
+    // Messages are { id, type, payload }; replies carry the same id
+    self.onmessage = async (event) => {
+        const { id, type, payload } = event.data;
+        const progress = (stage, fraction) => self.postMessage({ id, type: 'progress', stage, fraction });
+        
+        try {
+            const { result, transfer } = await runModelRequest(type, id, payload, progress, ready);
+            self.postMessage({ id, type: 'done', result }, transfer);
+        } catch (error) {
+            if (!(error instanceof BuildCancelled)) {
+                console.error(`Error in ${type}:`, error);
+            }
+            self.postMessage({ id, type: 'failed', message: error.message, cancelled: error instanceof BuildCancelled });
+        }
+    };
+}